@@ -1,10 +1,16 @@
 // background.js
 
 let DEBUG = false;
-const OLLAMA_BASE = "http://localhost:11434";
+const DEFAULT_OLLAMA_BASE = "http://localhost:11434";
 
-// Store history per tab
-const tabHistories = {};
+// Conversation sessions are kept in chrome.storage.session (one entry per tab
+// and page origin) so they survive service worker restarts. The panel owns the
+// history and saves it after every change; sessions of closed tabs are pruned.
+const SESSION_KEY_PREFIX = "session:";
+
+// In-flight requests keyed by the panel-supplied requestId, so CANCEL_REQUEST
+// can abort the fetch and stop stream relaying or pending tab actions.
+const activeRequests = new Map();
 
 function logDebug(message, data, tabId) {
   if (DEBUG) {
@@ -19,47 +25,483 @@ function logDebug(message, data, tabId) {
   }
 }
 
-async function getHeaders() {
+// Endpoint profiles are managed by the panel and stored in chrome.storage.local
+// as `ollamaProfiles` ([{ id, name, baseUrl, apiKey, defaultModel }]) together
+// with `activeProfileId`. The profile is re-read on every request because the
+// service worker may have been restarted since the panel last changed it.
+async function getActiveProfile() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(
+      ["ollamaProfiles", "activeProfileId", "ollamaApiKey"],
+      (data) => {
+        const profiles = data.ollamaProfiles || [];
+        const profile =
+          profiles.find((p) => p.id === data.activeProfileId) || profiles[0];
+        if (profile) {
+          resolve({
+            ...profile,
+            baseUrl: normalizeBaseUrl(profile.baseUrl),
+          });
+        } else {
+          // No profiles saved yet: fall back to the local server and the
+          // legacy single API key setting.
+          resolve({
+            id: "default",
+            name: "Local",
+            baseUrl: DEFAULT_OLLAMA_BASE,
+            apiKey: data.ollamaApiKey || "",
+            defaultModel: "",
+          });
+        }
+      }
+    );
+  });
+}
+
+function normalizeBaseUrl(url) {
+  return (url || DEFAULT_OLLAMA_BASE).trim().replace(/\/+$/, "");
+}
+
+function getHeaders(apiKey) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers["Authorization"] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+// Checks that a server answers both /api/version and /api/tags.
+async function testConnection(baseUrl, apiKey) {
+  const base = normalizeBaseUrl(baseUrl);
+  const headers = getHeaders(apiKey);
+
+  const versionResp = await fetch(`${base}/api/version`, { headers });
+  if (!versionResp.ok) {
+    throw new Error(
+      `/api/version returned ${versionResp.status} ${versionResp.statusText}`
+    );
+  }
+  const { version } = await versionResp.json();
+
+  const tagsResp = await fetch(`${base}/api/tags`, { headers });
+  if (!tagsResp.ok) {
+    throw new Error(
+      `/api/tags returned ${tagsResp.status} ${tagsResp.statusText}`
+    );
+  }
+  const tags = await tagsResp.json();
+
+  return { version, modelCount: (tags.models || []).length };
+}
+
+// --- Model capabilities ---
+// /api/show details per model, cached by server and digest so refreshing the
+// model list only queries models that were added or updated.
+const modelInfoCache = new Map();
+
+function summarizeModelInfo(show) {
+  const capabilities = show.capabilities || [];
+  const modelInfo = show.model_info || {};
+  const families = show.details?.families || [];
+  const architecture = modelInfo["general.architecture"];
+  return {
+    // Servers before `capabilities` existed only report the projector
+    vision:
+      capabilities.includes("vision") ||
+      !!show.projector_info ||
+      families.includes("clip") ||
+      families.includes("mllama"),
+    tools:
+      capabilities.includes("tools") || /\.Tools\b/.test(show.template || ""),
+    embedding: capabilities.includes("embedding"),
+    contextLength: modelInfo[`${architecture}.context_length`] || null,
+    quantization: show.details?.quantization_level || "",
+    parameterSize: show.details?.parameter_size || "",
+  };
+}
+
+// Resolves with the capability summary, or null when /api/show failed.
+async function getModelInfo(profile, model) {
+  const cacheKey = `${profile.baseUrl}|${model.name}|${model.digest || ""}`;
+  if (modelInfoCache.has(cacheKey)) return modelInfoCache.get(cacheKey);
+  try {
+    const resp = await fetch(`${profile.baseUrl}/api/show`, {
+      method: "POST",
+      headers: getHeaders(profile.apiKey),
+      body: JSON.stringify({ model: model.name }),
+    });
+    if (!resp.ok) {
+      throw new Error(`Ollama API error: ${resp.status} ${resp.statusText}`);
+    }
+    const info = summarizeModelInfo(await resp.json());
+    modelInfoCache.set(cacheKey, info);
+    return info;
+  } catch (error) {
+    logDebug(`Could not read details of ${model.name}`, error.message);
+    return null;
+  }
+}
+
+// --- Model management ---
+async function ollamaRequest(profile, path, method, body, signal) {
+  const resp = await fetch(`${profile.baseUrl}${path}`, {
+    method,
+    headers: getHeaders(profile.apiKey),
+    body: body ? JSON.stringify(body) : undefined,
+    signal,
+  });
+  if (!resp.ok) {
+    const errorText = await resp.text();
+    let detail = errorText;
+    try {
+      detail = JSON.parse(errorText).error || errorText;
+    } catch (e) {
+      // Plain-text error body
+    }
+    throw new Error(
+      `Ollama API error: ${resp.status} ${resp.statusText}${
+        detail ? ` (${detail})` : ""
+      }`
+    );
+  }
+  return resp;
+}
+
+// Pulls a model, relaying each NDJSON progress line to the panel as
+// PULL_PROGRESS ({ model, status, completed, total }). Resolves when the pull
+// finished; rejects on errors reported in the stream too.
+async function pullModel(model, tabId, signal) {
+  const profile = await getActiveProfile();
+  const resp = await ollamaRequest(
+    profile,
+    "/api/pull",
+    "POST",
+    { model, stream: true },
+    signal
+  );
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let lastStatus = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop(); // Keep the last, possibly incomplete, line
+    for (const line of lines) {
+      if (line.trim() === "") continue;
+      const progress = JSON.parse(line);
+      if (progress.error) throw new Error(progress.error);
+      lastStatus = progress.status || lastStatus;
+      sendPanelMessage(
+        {
+          type: "PULL_PROGRESS",
+          model,
+          status: progress.status || "",
+          completed: progress.completed || 0,
+          total: progress.total || 0,
+        },
+        tabId
+      );
+    }
+  }
+  if (lastStatus !== "success") {
+    throw new Error(
+      `Pull of ${model} ended with "${lastStatus || "no status"}"`
+    );
+  }
+}
+
+// Runs pullModel for PULL_MODEL and reports how it ended to the panel as a
+// final PULL_PROGRESS ({ model, requestId, done, result, message }), where
+// result is "ok", "cancelled" or "error".
+async function runPull(model, requestId, tabId, signal) {
+  let outcome = { result: "ok", message: "" };
+  try {
+    await pullModel(model, tabId, signal);
+  } catch (err) {
+    if (err.name === "AbortError") {
+      outcome = { result: "cancelled", message: "Request cancelled." };
+    } else {
+      console.error("[Ollama Assistant BG] pull error", err);
+      let detailedMessage = err.message;
+      if (err.message.includes("Failed to fetch")) {
+        const { baseUrl } = await getActiveProfile();
+        detailedMessage = `Failed to connect to Ollama at ${baseUrl}. Please ensure the Ollama server is running and accessible.`;
+      }
+      outcome = { result: "error", message: detailedMessage };
+    }
+  } finally {
+    releaseRequest(requestId);
+  }
+  sendPanelMessage(
+    { type: "PULL_PROGRESS", model, requestId, done: true, ...outcome },
+    tabId
+  );
+}
+
+async function deleteModel(model) {
+  const profile = await getActiveProfile();
+  await ollamaRequest(profile, "/api/delete", "DELETE", { model });
+}
+
+async function showModel(model) {
+  const profile = await getActiveProfile();
+  const resp = await ollamaRequest(profile, "/api/show", "POST", { model });
+  const show = await resp.json();
+  return {
+    ...summarizeModelInfo(show),
+    parameters: show.parameters || "",
+    template: show.template || "",
+    license: show.license || "",
+    system: show.system || "",
+    details: show.details || {},
+    modifiedAt: show.modified_at || "",
+  };
+}
+
+async function listRunningModels() {
+  const profile = await getActiveProfile();
+  const resp = await ollamaRequest(profile, "/api/ps", "GET");
+  const data = await resp.json();
+  return (data.models || []).map((m) => ({
+    name: m.name,
+    size: m.size,
+    sizeVram: m.size_vram,
+    expiresAt: m.expires_at,
+  }));
+}
+
+// A request with keep_alive 0 unloads the model right away. Embedding models
+// do not take /api/generate, so they are unloaded through /api/embed.
+async function unloadModel(model) {
+  const profile = await getActiveProfile();
+  try {
+    await ollamaRequest(profile, "/api/generate", "POST", {
+      model,
+      keep_alive: 0,
+    });
+  } catch (error) {
+    await ollamaRequest(profile, "/api/embed", "POST", {
+      model,
+      input: "",
+      keep_alive: 0,
+    });
+  }
+}
+
+function registerRequest(requestId) {
+  const controller = new AbortController();
+  if (requestId) {
+    activeRequests.set(requestId, controller);
+  }
+  return controller;
+}
+
+function releaseRequest(requestId) {
+  activeRequests.delete(requestId);
+}
+
+function cancelRequest(requestId, tabId) {
+  const controller = activeRequests.get(requestId);
+  if (!controller) return false;
+  controller.abort();
+  activeRequests.delete(requestId);
+  logDebug("Request cancelled", { requestId }, tabId);
+  sendPanelMessage(
+    {
+      type: "REQUEST_CANCELLED",
+      requestId,
+      status: "cancelled",
+      message: "Request cancelled.",
+    },
+    tabId
+  );
+  return true;
+}
+
+// --- Conversation sessions ---
+function getSessionId(tabId, origin) {
+  return `${SESSION_KEY_PREFIX}${tabId}:${origin}`;
+}
+
+async function getSession(sessionId) {
   return new Promise((resolve) => {
-    chrome.storage.local.get("ollamaApiKey", (data) => {
-      const headers = { "Content-Type": "application/json" };
-      if (data.ollamaApiKey) {
-        headers["Authorization"] = `Bearer ${data.ollamaApiKey}`;
+    chrome.storage.session.get(sessionId, (data) => {
+      resolve(data[sessionId] || null);
+    });
+  });
+}
+
+async function getAllSessions() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get(null, (data) => {
+      resolve(
+        Object.keys(data)
+          .filter((key) => key.startsWith(SESSION_KEY_PREFIX))
+          .map((key) => data[key])
+      );
+    });
+  });
+}
+
+// Saves the panel's history for a tab/origin. Screenshots are dropped to stay
+// within the storage.session quota; an empty history removes the session.
+async function saveSession({ tabId, origin, title, url, history = [] }) {
+  const id = getSessionId(tabId, origin);
+  if (history.length === 0) {
+    await removeSessions([id]);
+    return null;
+  }
+  const session = {
+    id,
+    tabId,
+    origin,
+    title: title || origin,
+    url: url || "",
+    updatedAt: Date.now(),
+    history: history.map(({ role, content, tool_calls, tool_name }) => ({
+      role,
+      content,
+      ...(tool_calls ? { tool_calls } : {}),
+      ...(tool_name ? { tool_name } : {}),
+    })),
+  };
+  return new Promise((resolve, reject) => {
+    chrome.storage.session.set({ [id]: session }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(session);
       }
-      resolve(headers);
     });
   });
 }
 
+async function removeSessions(sessionIds) {
+  return new Promise((resolve) => {
+    chrome.storage.session.remove(sessionIds, resolve);
+  });
+}
+
+// Summaries for the panel's session picker, newest first.
+async function listSessions() {
+  const sessions = await getAllSessions();
+  return sessions
+    .map(({ id, tabId, origin, title, url, updatedAt, history }) => ({
+      id,
+      tabId,
+      origin,
+      title,
+      url,
+      updatedAt,
+      turns: history.length,
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const sessions = await getAllSessions();
+  const stale = sessions.filter((s) => s.tabId === tabId).map((s) => s.id);
+  if (stale.length > 0) {
+    await removeSessions(stale);
+    logDebug("Pruned sessions of closed tab", { tabId, count: stale.length });
+  }
+});
+
+// Builds the `messages` array for /api/chat: optional system prompt, the
+// prior turns, then the new user turn (left out when there is none, e.g. when
+// continuing after tool results). Images ride on the message they belong to
+// rather than on the request body.
+function buildChatMessages(prompt, history = [], system = null, image = null) {
+  const messages = [];
+  if (system) {
+    messages.push({ role: "system", content: system });
+  }
+  for (const turn of history) {
+    if (!turn || !turn.role) continue;
+    const msg = { role: turn.role, content: turn.content || "" };
+    if (turn.images && turn.images.length > 0) {
+      msg.images = turn.images;
+    }
+    // Tool calling: the assistant's calls and the results answering them
+    if (turn.tool_calls && turn.tool_calls.length > 0) {
+      msg.tool_calls = turn.tool_calls;
+    }
+    if (turn.tool_name) {
+      msg.tool_name = turn.tool_name;
+    }
+    messages.push(msg);
+  }
+  if (prompt || image) {
+    const userMsg = { role: "user", content: prompt };
+    if (image) {
+      userMsg.images = [image]; // Expects raw Base64 string
+    }
+    messages.push(userMsg);
+  }
+  return messages;
+}
+
 async function callOllamaGenerate(
   model,
   prompt,
   stream,
   tabId,
   image = null,
-  history = []
+  history = [],
+  system = null,
+  signal = null,
+  onStreamEnd = null,
+  generation = {}
 ) {
-  logDebug("Calling Ollama...", { model, stream, hasImage: !!image }, tabId);
+  // Multi-turn conversations and tool calling go through /api/chat, which
+  // understands message roles. /api/generate is kept for single-shot prompts.
+  const useChat = history.length > 0 || !!generation.tools;
+  const endpoint = useChat ? "/api/chat" : "/api/generate";
+  logDebug(
+    "Calling Ollama...",
+    { model, stream, endpoint, hasImage: !!image, turns: history.length },
+    tabId
+  );
 
-  const body = { model, prompt, stream };
-  if (image) {
-    body.images = [image]; // Expects raw Base64 string
+  let body;
+  if (useChat) {
+    body = {
+      model,
+      messages: buildChatMessages(prompt, history, system, image),
+      stream,
+    };
+  } else {
+    body = { model, prompt, stream };
+    if (system) {
+      body.system = system;
+    }
+    if (image) {
+      body.images = [image]; // Expects raw Base64 string
+    }
   }
-  // The new Ollama API format uses a `messages` array for history
-  if (history.length > 0) {
-    body.messages = [
-      ...history,
-      { role: "user", content: prompt, images: image ? [image] : undefined },
-    ];
-    delete body.prompt; // Remove top-level prompt when using messages
-    delete body.images; // Images are now inside the message
+  // Sampling options and keep_alive from the panel's generation preset
+  if (generation.options && Object.keys(generation.options).length > 0) {
+    body.options = generation.options;
+  }
+  if (generation.keepAlive !== undefined && generation.keepAlive !== "") {
+    body.keep_alive = generation.keepAlive;
+  }
+  if (generation.format) {
+    body.format = generation.format; // "json" or a JSON Schema
+  }
+  if (generation.tools) {
+    body.tools = generation.tools; // Replies may carry message.tool_calls
   }
 
-  const headers = await getHeaders();
-  const resp = await fetch(`${OLLAMA_BASE}/api/generate`, {
+  const profile = await getActiveProfile();
+  const resp = await fetch(`${profile.baseUrl}${endpoint}`, {
     method: "POST",
-    headers: headers,
+    headers: getHeaders(profile.apiKey),
     body: JSON.stringify(body),
+    signal,
   });
 
   if (!resp.ok) {
@@ -73,6 +515,10 @@ async function callOllamaGenerate(
   if (!stream) {
     let result = await resp.json();
     delete result.context;
+    if (useChat) {
+      // Normalise chat replies so callers can always read `result.response`.
+      result.response = result.message?.content || "";
+    }
     logDebug("Ollama non-stream response", result, tabId);
     return result;
   } else {
@@ -80,12 +526,22 @@ async function callOllamaGenerate(
     const reader = resp.body.getReader();
     const decoder = new TextDecoder();
 
+    // A stream that breaks off ends the panel's reply with `error` set,
+    // so it does not wait for a last chunk that never comes
+    const sendStreamError = (message) =>
+      sendPanelMessage(
+        { type: "OLLAMA_CHUNK", chunk: "", done: true, error: message },
+        tabId
+      );
+
     // IIFE to handle the stream reading asynchronously
     (async () => {
+      let finished = false;
       try {
         let buffer = "";
-        while (true) {
+        while (!finished) {
           const { value, done } = await reader.read();
+          if (signal?.aborted) break;
           if (done) {
             if (DEBUG) {
               console.log("[Ollama Assistant BG]", "Stream finished.");
@@ -98,22 +554,51 @@ async function callOllamaGenerate(
 
           for (const line of lines) {
             if (line.trim() === "") continue;
+            let chunkObj;
             try {
-              const chunkObj = JSON.parse(line);
-              // The panel is associated with the inspected tabId.
-              // It will receive messages sent to that tabId.
-              chrome.runtime.sendMessage({
-                type: "OLLAMA_CHUNK",
-                chunk: chunkObj.response || "",
-                tabId: tabId,
-              });
+              chunkObj = JSON.parse(line);
             } catch (e) {
               console.error("Error parsing stream chunk:", e, "Line:", line);
+              continue;
             }
+            if (chunkObj.error) {
+              // Ollama reports failures mid-stream as an error line
+              finished = true;
+              reader.cancel();
+              sendStreamError(`Ollama error: ${chunkObj.error}`);
+              break;
+            }
+            // Chat chunks carry text in `message.content`, generate
+            // chunks in `response`.
+            const chunk = useChat
+              ? chunkObj.message?.content || ""
+              : chunkObj.response || "";
+            finished = !!chunkObj.done;
+            // The panel is associated with the inspected tabId.
+            // It will receive messages sent to that tabId.
+            chrome.runtime.sendMessage({
+              type: "OLLAMA_CHUNK",
+              chunk,
+              done: finished,
+              tabId: tabId,
+            });
+            if (finished) break;
           }
         }
+        if (!finished && !signal?.aborted) {
+          sendStreamError(
+            "The connection closed before the reply was complete."
+          );
+        }
       } catch (e) {
-        console.error("Error in background stream reader:", e);
+        if (e.name === "AbortError") {
+          logDebug("Stream cancelled", null, tabId);
+        } else {
+          console.error("Error in background stream reader:", e);
+          sendStreamError(`The stream broke off: ${e.message}`);
+        }
+      } finally {
+        if (onStreamEnd) onStreamEnd();
       }
     })();
 
@@ -129,7 +614,18 @@ function sendPanelMessage(message, tabId) {
   chrome.runtime.sendMessage({ ...message, tabId });
 }
 
-function sendMessageToTab(tabId, message, retries = 3, cb = () => {}) {
+function sendMessageToTab(
+  tabId,
+  message,
+  retries = 3,
+  cb = () => {},
+  signal = null
+) {
+  // A cancelled request must not reach the page, including on a retry.
+  if (signal?.aborted) {
+    cb({ status: "cancelled", message: "Request cancelled." });
+    return;
+  }
   chrome.tabs.sendMessage(tabId, message, (response) => {
     if (chrome.runtime.lastError) {
       const err = chrome.runtime.lastError.message;
@@ -159,7 +655,8 @@ function sendMessageToTab(tabId, message, retries = 3, cb = () => {}) {
                 });
               } else {
                 setTimeout(
-                  () => sendMessageToTab(tabId, message, retries - 1, cb),
+                  () =>
+                    sendMessageToTab(tabId, message, retries - 1, cb, signal),
                   400
                 );
               }
@@ -180,7 +677,7 @@ function sendMessageToTab(tabId, message, retries = 3, cb = () => {}) {
               });
             } else {
               setTimeout(
-                () => sendMessageToTab(tabId, message, retries - 1, cb),
+                () => sendMessageToTab(tabId, message, retries - 1, cb, signal),
                 400
               );
             }
@@ -200,8 +697,1184 @@ function sendMessageToTab(tabId, message, retries = 3, cb = () => {}) {
   });
 }
 
+// --- Page context budgeting ---
+// Page text is fitted to the token budget the panel leaves for it. Tokens are
+// estimated at ~4 characters each, which is close enough for English text and
+// errs on the safe side for code. Over-budget pages are either trimmed (head
+// and tail kept) or map-reduced: each chunk is summarised with the question
+// in mind, and the summaries are summarised again until they fit.
+const CHARS_PER_TOKEN = 4;
+const MAX_REDUCE_ROUNDS = 3;
+
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+function trimToBudget(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return text;
+  const marker = `\n\n[… ${text.length - maxChars} characters omitted …]\n\n`;
+  const keep = Math.max(maxChars - marker.length, 0);
+  const head = Math.ceil(keep * 0.7);
+  return text.slice(0, head) + marker + text.slice(text.length - (keep - head));
+}
+
+// Splits on line breaks so chunks end between paragraphs where possible
+function splitIntoChunks(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let current = "";
+  for (const line of text.split("\n")) {
+    for (let i = 0; i < Math.max(line.length, 1); i += maxChars) {
+      const piece = line.slice(i, i + maxChars);
+      if (current && current.length + piece.length + 1 > maxChars) {
+        chunks.push(current);
+        current = "";
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  }
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+async function summarizeToBudget(text, maxTokens, settings, round = 0) {
+  const { model, question, contextWindow, generation, tabId, signal } =
+    settings;
+  if (estimateTokens(text) <= maxTokens) return text;
+  if (round >= MAX_REDUCE_ROUNDS) return trimToBudget(text, maxTokens);
+
+  // Leave room in each call for the instructions and the summary itself
+  const chunks = splitIntoChunks(text, Math.floor(contextWindow * 0.6));
+  const words = Math.max(Math.floor(((maxTokens / chunks.length) * 3) / 4), 40);
+  const focus = question
+    ? `Keep what is relevant to this question: ${question}`
+    : "Keep the main facts, names, numbers and links.";
+  const summaries = [];
+  for (let i = 0; i < chunks.length; i++) {
+    sendPanelMessage(
+      { type: "CONTEXT_PROGRESS", round, done: i, total: chunks.length },
+      tabId
+    );
+    const prompt = `Summarize part ${i + 1} of ${
+      chunks.length
+    } of a web page in at most ${words} words. ${focus} Reply with the summary only.\n\n${
+      chunks[i]
+    }`;
+    const result = await callOllamaGenerate(
+      model,
+      prompt,
+      false,
+      tabId,
+      null,
+      [],
+      null,
+      signal,
+      null,
+      generation
+    );
+    summaries.push((result.response || "").trim());
+  }
+  sendPanelMessage(
+    {
+      type: "CONTEXT_PROGRESS",
+      round,
+      done: chunks.length,
+      total: chunks.length,
+    },
+    tabId
+  );
+  return summarizeToBudget(
+    summaries.join("\n\n"),
+    maxTokens,
+    settings,
+    round + 1
+  );
+}
+
+// Resolves with the tab's { title, url, text } in the given extraction mode
+async function readPageText(tabId, mode, signal) {
+  const result = await new Promise((resolve) =>
+    sendMessageToTab(
+      tabId,
+      { type: "GET_PAGE_CONTEXT", mode },
+      3,
+      resolve,
+      signal
+    )
+  );
+  if (result.status === "cancelled") throw createAbortError();
+  if (result.status !== "ok" || !result.response) {
+    throw new Error(result.message || "Could not read the page text.");
+  }
+  const { title, url } = result.response;
+  return { title, url, text: (result.response.text || "").trim() };
+}
+
+// Fits text to the budget as the PREPARE_* message asks (fit, model...).
+// Progress goes to the panel of message.tabId.
+async function fitPageText(text, budget, message, signal) {
+  const originalTokens = estimateTokens(text);
+  let fitted = text;
+  let method = "full";
+  if (originalTokens > budget) {
+    if (message.fit === "summarize") {
+      fitted = await summarizeToBudget(text, budget, {
+        model: message.model,
+        question: message.question,
+        contextWindow: message.contextWindow,
+        generation: message.generation || {},
+        tabId: message.tabId,
+        signal,
+      });
+      method = "summarized";
+    } else {
+      fitted = trimToBudget(text, budget);
+      method = "trimmed";
+    }
+  }
+  return {
+    text: fitted,
+    method,
+    originalTokens,
+    tokens: estimateTokens(fitted),
+  };
+}
+
+async function preparePageContext(message, signal) {
+  const { tabId, mode, budget } = message;
+  const page = await readPageText(tabId, mode, signal);
+  const fitted = await fitPageText(page.text, budget, message, signal);
+  logDebug(
+    "Page context prepared",
+    { mode, method: fitted.method, originalTokens: fitted.originalTokens },
+    tabId
+  );
+  return { title: page.title, url: page.url, mode, ...fitted };
+}
+
+// Several tabs share one budget. Tabs are served shortest first, so a tab
+// needing less than an even share leaves the rest to the longer ones. Tabs
+// that cannot be read (e.g. chrome:// pages) come back with an error.
+async function prepareTabsContext(message, signal) {
+  const pages = [];
+  for (const tabId of message.tabIds) {
+    try {
+      pages.push({
+        tabId,
+        ...(await readPageText(tabId, message.mode, signal)),
+      });
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      pages.push({ tabId, error: err.message, text: "" });
+    }
+  }
+  const readable = pages.filter((page) => !page.error);
+  let remaining = message.budget;
+  [...readable]
+    .sort((a, b) => a.text.length - b.text.length)
+    .forEach((page, i, sorted) => {
+      page.budget = Math.floor(remaining / (sorted.length - i));
+      remaining -= Math.min(estimateTokens(page.text), page.budget);
+    });
+
+  const contexts = [];
+  for (const page of pages) {
+    const { tabId, title, url, error } = page;
+    if (error) {
+      contexts.push({ tabId, error });
+      continue;
+    }
+    const fitted = await fitPageText(page.text, page.budget, message, signal);
+    contexts.push({ tabId, title, url, mode: message.mode, ...fitted });
+  }
+  logDebug(
+    "Tabs context prepared",
+    contexts.map(({ tabId, method, error }) => ({ tabId, method, error })),
+    message.tabId
+  );
+  return contexts;
+}
+
+// --- Structured replies ---
+// Automation requests pass a JSON Schema as `format`; Ollama constrains the
+// reply to it and the parsed reply is checked against it again here, since
+// older servers and some models ignore the constraint. Invalid replies are
+// re-asked with the validation errors, at most MAX_FORMAT_RETRIES times.
+const MAX_FORMAT_RETRIES = 2;
+
+function getJsonType(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Checks the subset of JSON Schema the action schemas use: type, enum,
+// minimum/maximum, items/minItems/maxItems, properties/required and
+// additionalProperties. Returns a list of error messages.
+function validateSchema(value, schema, path = "reply") {
+  const errors = [];
+  const actual = getJsonType(value);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const matches = types.some(
+      (type) => type === actual || (type === "number" && actual === "integer")
+    );
+    if (!matches) {
+      errors.push(`${path} must be of type ${types.join(" or ")}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${path} must be one of ${schema.enum
+        .map((v) => JSON.stringify(v))
+        .join(", ")}`
+    );
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+  if (actual === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) =>
+        errors.push(...validateSchema(item, schema.items, `${path}[${i}]`))
+      );
+    }
+  }
+  if (actual === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(child, properties[key], `${path}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      }
+    });
+  }
+  return errors;
+}
+
+// Parses a reply given with a `format` schema: { command, errors }.
+function checkStructuredReply(text, schema) {
+  let command;
+  try {
+    command = JSON.parse(text);
+  } catch (e) {
+    return {
+      command: null,
+      errors: [`reply is not valid JSON (${e.message})`],
+    };
+  }
+  const errors = validateSchema(command, schema);
+  return { command: errors.length === 0 ? command : null, errors };
+}
+
+// Free-text replies (no `format`) may wrap the JSON in prose or fences.
+function extractActionCommand(text, tabId) {
+  let actionCommand = null;
+  let responseText = text;
+
+  // 1. Try to extract from Markdown code blocks (ignoring the language label like 'css' or 'json')
+  // Regex: Matches ``` followed by optional word (language), captures content, ends with ```
+  const codeBlockMatch = responseText.match(/```(?:\w+)?\s*([\s\S]*?)\s*```/);
+
+  if (codeBlockMatch && codeBlockMatch[1]) {
+    // If we found a code block, use its content
+    responseText = codeBlockMatch[1];
+  }
+
+  // 2. Attempt to parse
+  try {
+    actionCommand = JSON.parse(responseText);
+    logDebug("Parsed action command successfully", actionCommand, tabId);
+  } catch (e) {
+    // 3. Fallback: If direct parsing failed (maybe no backticks, or extra text outside backticks),
+    // try to find the first '{' and the last '}' and parse that substring.
+    logDebug(
+      "Direct parse failed, attempting heuristic JSON extraction...",
+      null,
+      tabId
+    );
+
+    const firstOpen = responseText.indexOf("{");
+    const lastClose = responseText.lastIndexOf("}");
+
+    if (firstOpen !== -1 && lastClose !== -1 && lastClose > firstOpen) {
+      const potentialJson = responseText.substring(firstOpen, lastClose + 1);
+      try {
+        actionCommand = JSON.parse(potentialJson);
+        logDebug("Heuristic extraction successful", actionCommand, tabId);
+      } catch (e2) {
+        // If this fails, the JSON is truly malformed
+        logDebug("Heuristic extraction failed", e2.message, tabId);
+      }
+    }
+  }
+  return actionCommand;
+}
+
+// --- Local page index ---
+// Opt-in knowledge base of visited pages. content.js chunks each page's main
+// content and sends INDEX_PAGE; the chunks are embedded with the chosen model
+// through /api/embed and kept in IndexedDB. SEARCH_PAGES ranks the stored
+// chunks by cosine similarity to the question. Chunks embedded with another
+// model are ignored, and their page is re-indexed on the next visit.
+const INDEX_DB_NAME = "ollama-assistant-index";
+const INDEX_SETTINGS_KEYS = ["indexPages", "indexEmbedModel"];
+const EMBED_BATCH_SIZE = 16;
+const MAX_INDEXED_PAGES = 500;
+let indexDbPromise = null;
+
+function openIndexDb() {
+  if (!indexDbPromise) {
+    indexDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(INDEX_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("pages", { keyPath: "url" });
+        const chunks = db.createObjectStore("chunks", { autoIncrement: true });
+        chunks.createIndex("url", "url");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        indexDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return indexDbPromise;
+}
+
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+async function embedTexts(model, texts, signal) {
+  const profile = await getActiveProfile();
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const resp = await ollamaRequest(
+      profile,
+      "/api/embed",
+      "POST",
+      { model, input: texts.slice(i, i + EMBED_BATCH_SIZE) },
+      signal
+    );
+    embeddings.push(...(await resp.json()).embeddings);
+  }
+  return embeddings;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Cheap content fingerprint, so unchanged pages are not embedded again
+function hashText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return hash.toString(36);
+}
+
+async function removeIndexedPage(db, url) {
+  const tx = db.transaction(["pages", "chunks"], "readwrite");
+  tx.objectStore("pages").delete(url);
+  const chunks = tx.objectStore("chunks");
+  chunks.index("url").openKeyCursor(IDBKeyRange.only(url)).onsuccess = (
+    event
+  ) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    chunks.delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  await idbDone(tx);
+}
+
+async function pruneIndex(db) {
+  const pages = await idbResult(
+    db.transaction("pages").objectStore("pages").getAll()
+  );
+  const oldest = pages
+    .sort((a, b) => a.indexedAt - b.indexedAt)
+    .slice(0, Math.max(pages.length - MAX_INDEXED_PAGES, 0));
+  for (const page of oldest) {
+    await removeIndexedPage(db, page.url);
+  }
+}
+
+// force: index even with automatic indexing off ("Index This Page")
+async function indexPage({ url, title, chunks = [] }, force = false) {
+  const settings = await chrome.storage.local.get(INDEX_SETTINGS_KEYS);
+  if (!force && !settings.indexPages) {
+    return { indexed: false, reason: "Page indexing is off." };
+  }
+  const model = settings.indexEmbedModel;
+  if (!model) {
+    return { indexed: false, reason: "No embedding model is selected." };
+  }
+  if (chunks.length === 0) {
+    return { indexed: false, reason: "The page has no text to index." };
+  }
+  const hash = hashText(chunks.join("\n"));
+  const db = await openIndexDb();
+  const existing = await idbResult(
+    db.transaction("pages").objectStore("pages").get(url)
+  );
+  if (existing && existing.hash === hash && existing.model === model) {
+    return { indexed: false, reason: "Already indexed and unchanged." };
+  }
+
+  const embeddings = await embedTexts(model, chunks);
+  await removeIndexedPage(db, url);
+  const tx = db.transaction(["pages", "chunks"], "readwrite");
+  const chunkStore = tx.objectStore("chunks");
+  chunks.forEach((text, i) =>
+    chunkStore.add({ url, title, text, model, embedding: embeddings[i] })
+  );
+  tx.objectStore("pages").put({
+    url,
+    title,
+    model,
+    hash,
+    chunkCount: chunks.length,
+    indexedAt: Date.now(),
+  });
+  await idbDone(tx);
+  await pruneIndex(db);
+  logDebug("Page indexed", { url, chunks: chunks.length, model });
+  return { indexed: true, chunks: chunks.length };
+}
+
+// Resolves with the topK chunks as { url, title, text, score }
+async function searchIndex(query, topK, signal) {
+  const { indexEmbedModel: model } = await chrome.storage.local.get(
+    INDEX_SETTINGS_KEYS
+  );
+  if (!model) {
+    throw new Error("Choose an embedding model for page search first.");
+  }
+  const [queryEmbedding] = await embedTexts(model, [query], signal);
+  const db = await openIndexDb();
+  const results = [];
+  await new Promise((resolve, reject) => {
+    const request = db.transaction("chunks").objectStore("chunks").openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const { url, title, text, embedding } = cursor.value;
+      if (cursor.value.model === model) {
+        results.push({
+          url,
+          title,
+          text,
+          score: cosineSimilarity(queryEmbedding, embedding),
+        });
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return results.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+async function getIndexStats() {
+  const db = await openIndexDb();
+  const tx = db.transaction(["pages", "chunks"]);
+  const [pages, chunks] = await Promise.all([
+    idbResult(tx.objectStore("pages").count()),
+    idbResult(tx.objectStore("chunks").count()),
+  ]);
+  return { pages, chunks };
+}
+
+async function clearIndex() {
+  const db = await openIndexDb();
+  const tx = db.transaction(["pages", "chunks"], "readwrite");
+  tx.objectStore("pages").clear();
+  tx.objectStore("chunks").clear();
+  await idbDone(tx);
+}
+
+// --- Action approval ---
+// Every action bound for a page is classified first. Submits, navigation and
+// destructive-looking clicks wait for the panel's APPROVAL_DECISION unless the
+// user allowed that kind of action on the site for good; those rules live in
+// chrome.storage.local as `approvalRules` ({ [origin]: [level, ...] }).
+const APPROVAL_RULES_KEY = "approvalRules";
+const APPROVAL_LEVELS = ["submit", "navigate", "destructive"];
+const READ_ONLY_ACTIONS = [
+  "get_text",
+  "get_value",
+  "scroll",
+  "scroll_to_element",
+  "hover",
+  "wait",
+  "wait_for",
+  "done",
+  "answer",
+];
+const INPUT_ACTIONS = ["type", "clear", "select_option", "check", "uncheck"];
+const DESTRUCTIVE_PATTERN =
+  /\b(delete|remove|erase|destroy|pay|purchase|buy|checkout|check out|place order|transfer|withdraw|unsubscribe|deactivate|close account|cancel (subscription|account|order|membership))\b/i;
+
+// Resolvers of approvals the panel has not answered yet, keyed by approvalId
+const pendingApprovals = new Map();
+// Unanswered approvals are cancelled after this, so a card left behind by a
+// closed DevTools window does not keep the worker alive forever
+const APPROVAL_TIMEOUT_MS = 5 * 60e3;
+
+// Returns { level, reason }. `target` is content.js's description of the
+// element the action would act on, or null when it could not be resolved.
+function classifyAction(command, target, origin) {
+  const action = command.action;
+  if (READ_ONLY_ACTIONS.includes(action)) {
+    return { level: "read", reason: "Only reads the page" };
+  }
+  if (action === "navigate") {
+    return { level: "navigate", reason: `Navigates to ${command.value}` };
+  }
+  const label = target
+    ? [target.name, target.text, target.formAction].join(" ")
+    : "";
+  const isActivation = [
+    "click",
+    "double_click",
+    "submit",
+    "press_key",
+  ].includes(action);
+  if (isActivation && DESTRUCTIVE_PATTERN.test(label)) {
+    return {
+      level: "destructive",
+      reason: `"${target.name || target.text}" looks destructive`,
+    };
+  }
+  if (
+    action === "submit" ||
+    (["click", "double_click"].includes(action) && target?.isSubmit) ||
+    (action === "press_key" &&
+      /(^|\+)enter$/i.test(command.value || "") &&
+      target?.inForm)
+  ) {
+    return { level: "submit", reason: "Submits a form" };
+  }
+  if (action === "click" && target?.href) {
+    try {
+      const url = new URL(target.href);
+      if (/^https?:$/.test(url.protocol) && url.origin !== origin) {
+        return {
+          level: "navigate",
+          reason: `Follows a link to ${url.origin}`,
+        };
+      }
+    } catch (e) {
+      // Not a URL the page can leave through
+    }
+  }
+  if (INPUT_ACTIONS.includes(action)) {
+    return { level: "input", reason: "Changes a form field" };
+  }
+  return { level: "interact", reason: "Interacts with the page" };
+}
+
+async function getApprovalRules() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(APPROVAL_RULES_KEY, (data) => {
+      resolve(data[APPROVAL_RULES_KEY] || {});
+    });
+  });
+}
+
+async function saveApprovalRules(rules) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [APPROVAL_RULES_KEY]: rules }, resolve);
+  });
+}
+
+async function addApprovalRule(origin, level) {
+  const rules = await getApprovalRules();
+  rules[origin] = [...new Set([...(rules[origin] || []), level])];
+  await saveApprovalRules(rules);
+}
+
+async function clearApprovalRules(origin) {
+  const rules = await getApprovalRules();
+  delete rules[origin];
+  await saveApprovalRules(rules);
+}
+
+// Asks the panel and resolves with "allow", "always", "deny", "cancelled" or,
+// when nobody answered within APPROVAL_TIMEOUT_MS, "expired".
+function requestApproval(tabId, details, signal) {
+  const approvalId = `approval-${Date.now()}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+  return new Promise((resolve) => {
+    // The worker is shut down after ~30s without extension events; calling an
+    // API keeps it alive while the user makes up their mind.
+    const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), 20e3);
+    const cancel = (decision) => {
+      finish(decision);
+      sendPanelMessage(
+        { type: "APPROVAL_RESOLVED", approvalId, decision },
+        tabId
+      );
+    };
+    const onAbort = () => cancel("cancelled");
+    const deadline = setTimeout(() => cancel("expired"), APPROVAL_TIMEOUT_MS);
+    const finish = (decision) => {
+      clearInterval(keepAlive);
+      clearTimeout(deadline);
+      pendingApprovals.delete(approvalId);
+      signal?.removeEventListener("abort", onAbort);
+      resolve(decision);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    pendingApprovals.set(approvalId, finish);
+    sendPanelMessage(
+      { type: "APPROVAL_REQUIRED", approvalId, ...details },
+      tabId
+    );
+  });
+}
+
+function describeExpiredApproval(command) {
+  return `Nobody answered the approval of '${command.action}' within ${
+    APPROVAL_TIMEOUT_MS / 60e3
+  } minutes.`;
+}
+
+// Sends an AUTOMATE_ACTION or EXECUTE_COORDINATE_ACTION payload to the tab once
+// the policy allows it. Calls back like sendMessageToTab, or with status
+// "denied" when the user rejected the action and "expired" when nobody
+// answered. Approvals are asked in the panel of panelTabId, which differs from
+// tabId when a run moved to another tab.
+async function sendActionWithApproval(
+  tabId,
+  payload,
+  cb,
+  signal = null,
+  panelTabId = tabId
+) {
+  const described = await new Promise((resolve) =>
+    sendMessageToTab(
+      tabId,
+      { type: "DESCRIBE_ACTION_TARGET", action: payload },
+      3,
+      resolve,
+      signal
+    )
+  );
+  if (described.status === "cancelled") {
+    cb(described);
+    return;
+  }
+  // Without a description the policy cannot judge the action, so it is not run
+  if (described.status !== "ok" || described.response?.status !== "ok") {
+    cb({
+      status: "error",
+      message: `Could not inspect the action's target, so it was not run: ${
+        described.message || described.response?.message || "no response"
+      }`,
+    });
+    return;
+  }
+  const { origin } = described.response;
+  const target = described.response.target || null;
+  const command =
+    payload.type === "AUTOMATE_ACTION"
+      ? payload.command
+      : {
+          action: payload.action,
+          value: payload.value,
+          secret: payload.secret,
+        };
+  const { level, reason } = classifyAction(command, target, origin);
+  logDebug("Action classified", { action: command.action, level }, tabId);
+
+  if (APPROVAL_LEVELS.includes(level)) {
+    const rules = await getApprovalRules();
+    if (!(rules[origin] || []).includes(level)) {
+      // Outline the target first so the panel's screenshot shows it
+      await new Promise((resolve) =>
+        sendMessageToTab(
+          tabId,
+          {
+            type: "SHOW_ACTION_PREVIEW",
+            action: payload,
+            label: `${command.action}: awaiting approval`,
+          },
+          0,
+          resolve
+        )
+      );
+      const decision = await requestApproval(
+        panelTabId,
+        { origin, level, reason, command, target },
+        signal
+      );
+      sendMessageToTab(tabId, { type: "HIDE_ACTION_PREVIEW" }, 0);
+      if (decision === "cancelled") {
+        cb({ status: "cancelled", message: "Request cancelled." });
+        return;
+      }
+      if (decision === "expired") {
+        cb({ status: "expired", message: describeExpiredApproval(command) });
+        return;
+      }
+      if (decision !== "allow" && decision !== "always") {
+        cb({
+          status: "denied",
+          message: `The user denied '${command.action}' (${reason}).`,
+        });
+        return;
+      }
+      if (decision === "always") {
+        await addApprovalRule(origin, level);
+      }
+    }
+  }
+  // content.js cannot see requests a click started; a click that only sent
+  // one (like, vote, add to cart) did have an effect. Polls already in flight
+  // that finish meanwhile do not count, only requests started after sending.
+  const watch = watchTabNetwork(tabId);
+  const sentAt = Date.now();
+  sendMessageToTab(
+    tabId,
+    payload,
+    3,
+    (result) => {
+      const pageResp = result.response;
+      if (pageResp?.data?.noEffect && watch.lastStart >= sentAt) {
+        const { noEffect, ancestorSelector, ...data } = pageResp.data;
+        result = {
+          ...result,
+          response: {
+            ...pageResp,
+            status: "ok",
+            message: `${command.action} sent a network request`,
+            data: { ...data, effects: ["network request sent"] },
+          },
+        };
+      }
+      cb(result);
+    },
+    signal
+  );
+}
+
+// --- Network activity ---
+// fetch/XHR requests in flight per tab, seen with chrome.webRequest so the page
+// itself is never touched. Only tabs the assistant acts on are watched, each
+// until it has not been used for NETWORK_WATCH_MS.
+const NETWORK_WATCH_MS = 2 * 60e3;
+const NETWORK_QUIET_MS = 500;
+const SETTLE_TIMEOUT_MS = 10000;
+// tabId -> { pending, lastActivity, lastStart, stop }
+const watchedTabs = new Map();
+
+function watchTabNetwork(tabId) {
+  let watch = watchedTabs.get(tabId);
+  if (!watch) {
+    const filter = { urls: ["<all_urls>"], types: ["xmlhttprequest"], tabId };
+    const onStart = (details) => {
+      watch.pending.add(details.requestId);
+      watch.lastActivity = Date.now();
+      watch.lastStart = watch.lastActivity;
+    };
+    const onEnd = (details) => {
+      if (watch.pending.delete(details.requestId)) {
+        watch.lastActivity = Date.now();
+      }
+    };
+    watch = {
+      pending: new Set(),
+      lastActivity: 0,
+      lastStart: 0,
+      stop() {
+        clearTimeout(watch.expiry);
+        chrome.webRequest.onBeforeRequest.removeListener(onStart);
+        chrome.webRequest.onCompleted.removeListener(onEnd);
+        chrome.webRequest.onErrorOccurred.removeListener(onEnd);
+        watchedTabs.delete(tabId);
+      },
+    };
+    chrome.webRequest.onBeforeRequest.addListener(onStart, filter);
+    chrome.webRequest.onCompleted.addListener(onEnd, filter);
+    chrome.webRequest.onErrorOccurred.addListener(onEnd, filter);
+    watchedTabs.set(tabId, watch);
+  }
+  clearTimeout(watch.expiry);
+  watch.expiry = setTimeout(watch.stop, NETWORK_WATCH_MS);
+  return watch;
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => watchedTabs.get(tabId)?.stop());
+
+// Resolves once no request of the tab is in flight and none started or ended
+// for NETWORK_QUIET_MS, or at the deadline; returns what is still busy.
+async function waitForNetworkIdle(watch, deadline, signal) {
+  while (true) {
+    if (signal?.aborted) throw createAbortError();
+    const busy = [];
+    if (watch.pending.size > 0) {
+      busy.push(`${watch.pending.size} network request(s) in flight`);
+    } else if (Date.now() - watch.lastActivity < NETWORK_QUIET_MS) {
+      busy.push("network recently active");
+    }
+    if (busy.length === 0 || Date.now() >= deadline) return busy;
+    await delay(100);
+  }
+}
+
+// Waits until the network is idle and content.js finds the page settled (done
+// loading, DOM and transitions quiet), repeating while responses keep the page
+// busy. Resolves with { settled, waited, busy }, or null when the page could
+// not tell.
+async function waitForPageSettle(tabId, signal) {
+  const watch = watchTabNetwork(tabId);
+  const start = Date.now();
+  const deadline = start + SETTLE_TIMEOUT_MS;
+  while (true) {
+    const networkBusy = await waitForNetworkIdle(watch, deadline, signal);
+    const asked = Date.now();
+    const page = await askPageSettled(
+      tabId,
+      Math.max(deadline - Date.now(), 0),
+      signal
+    );
+    if (!page) return null;
+    const busy = [...networkBusy, ...page.busy];
+    // Requests started while the page settled need another round
+    const quiet =
+      busy.length === 0 &&
+      watch.pending.size === 0 &&
+      watch.lastActivity <= asked;
+    if (quiet || Date.now() >= deadline) {
+      return { settled: busy.length === 0, waited: Date.now() - start, busy };
+    }
+  }
+}
+
+function askPageSettled(tabId, timeoutMs, signal) {
+  return new Promise((resolve, reject) =>
+    sendMessageToTab(
+      tabId,
+      { type: "WAIT_FOR_SETTLE", timeoutMs },
+      1,
+      (result) => {
+        if (result.status === "cancelled") {
+          reject(createAbortError());
+        } else {
+          resolve(result.status === "ok" ? result.response : null);
+        }
+      },
+      signal
+    )
+  );
+}
+
+// --- Tab actions and automation runs ---
+// Navigation and tab actions run here with chrome.tabs rather than in the
+// page, so they survive the page going away: each one waits for the tab to
+// finish loading and for content.js to answer again before reporting back.
+// The state of a vision run (goal, step, the tab it acts on, the tabs it
+// opened, its history) is kept in chrome.storage.session per inspected tab,
+// so it also outlives service-worker restarts and a closed DevTools window.
+const TAB_LOAD_TIMEOUT_MS = 15000;
+const RUN_KEY_PREFIX = "automationRun:";
+
+function getRunKey(panelTabId) {
+  return `${RUN_KEY_PREFIX}${panelTabId}`;
+}
+
+async function getAutomationRun(panelTabId) {
+  const key = getRunKey(panelTabId);
+  return (await chrome.storage.session.get(key))[key] || null;
+}
+
+// Merges into the stored run, so the panel and runTabAction can each update
+// their own fields.
+async function updateAutomationRun(panelTabId, changes) {
+  const run = (await getAutomationRun(panelTabId)) || { openedTabIds: [] };
+  await chrome.storage.session.set({
+    [getRunKey(panelTabId)]: { ...run, ...changes, updatedAt: Date.now() },
+  });
+}
+
+async function clearAutomationRun(panelTabId) {
+  await chrome.storage.session.remove(getRunKey(panelTabId));
+}
+
+function createAbortError() {
+  const err = new Error("Request cancelled.");
+  err.name = "AbortError";
+  return err;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Resolves with the tab once it reports "complete", or as it is after
+// TAB_LOAD_TIMEOUT_MS (pages that keep loading are still usable).
+async function waitForTabLoad(tabId, signal) {
+  const deadline = Date.now() + TAB_LOAD_TIMEOUT_MS;
+  await delay(300); // Let a navigation that was just started begin
+  while (Date.now() < deadline) {
+    if (signal?.aborted) throw createAbortError();
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === "complete") return tab;
+    await delay(250);
+  }
+  return chrome.tabs.get(tabId);
+}
+
+// Makes sure content.js answers in the tab, injecting it when it is missing.
+function attachContentScript(tabId, signal) {
+  return new Promise((resolve, reject) =>
+    sendMessageToTab(
+      tabId,
+      { type: "PING" },
+      3,
+      (result) => {
+        if (result.status === "cancelled") {
+          reject(createAbortError());
+        } else if (result.status === "ok") {
+          resolve();
+        } else {
+          reject(new Error(`The page cannot be automated: ${result.message}`));
+        }
+      },
+      signal
+    )
+  );
+}
+
+// Waits for the tab to load, re-attaches content.js and waits for the page to
+// settle; used after page actions (which may have started a navigation) and
+// before each step.
+async function attachTab(tabId, signal) {
+  await waitForTabLoad(tabId, signal);
+  await attachContentScript(tabId, signal);
+  const settle = await waitForPageSettle(tabId, signal);
+  const tab = await chrome.tabs.get(tabId);
+  return { id: tab.id, url: tab.url, title: tab.title, settle };
+}
+
+function normalizeTabUrl(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) throw new Error("A URL is required.");
+  const url = new URL(/^[a-z][a-z\d+.-]*:/i.test(raw) ? raw : `https://${raw}`);
+  if (!/^https?:$/.test(url.protocol)) {
+    throw new Error(`Only http(s) pages can be opened, not ${url.protocol}`);
+  }
+  return url.href;
+}
+
+// value is a tab id, or text found in the tab's title or URL
+async function findTab(value, windowId) {
+  const tabs = await chrome.tabs.query({ windowId });
+  const wanted = String(value ?? "").trim();
+  const byId = tabs.find((tab) => String(tab.id) === wanted);
+  if (byId) return byId;
+  const text = wanted.toLowerCase();
+  const byText =
+    text &&
+    tabs.find(
+      (tab) =>
+        (tab.title || "").toLowerCase().includes(text) ||
+        (tab.url || "").toLowerCase().includes(text)
+    );
+  if (!byText) throw new Error(`No open tab matches "${wanted}".`);
+  return byText;
+}
+
+// Runs a tab action for the run of panelTabId on its current tab (tabId).
+// Resolves with { tabId, url, title, message } - tabId being the tab the run
+// acts on from now on - or { denied, message } when the user said no and
+// { expired, message } when nobody answered.
+async function runTabAction({ tabId, panelTabId, action, value }, signal) {
+  const tab = await chrome.tabs.get(tabId);
+  const run = await getAutomationRun(panelTabId);
+  const openedTabIds = run?.openedTabIds || [];
+  let origin = "";
+  try {
+    origin = new URL(tab.url).origin;
+  } catch (e) {
+    // Tabs without a URL (e.g. still loading) have no origin
+  }
+
+  let targetTabId = tabId;
+  let approval = null;
+  let perform;
+  if (action === "navigate" || action === "open_tab") {
+    const url = normalizeTabUrl(value);
+    approval = {
+      level: "navigate",
+      reason: `${
+        action === "open_tab" ? "Opens a tab with" : "Navigates to"
+      } ${url}`,
+    };
+    perform = async () => {
+      if (action === "navigate") {
+        await chrome.tabs.update(tabId, { url });
+        return `Navigated to ${url}`;
+      }
+      const created = await chrome.tabs.create({
+        url,
+        openerTabId: tabId,
+        windowId: tab.windowId,
+        active: true,
+      });
+      targetTabId = created.id;
+      openedTabIds.push(created.id);
+      return `Opened ${url} in a new tab (id ${created.id})`;
+    };
+  } else if (action === "switch_tab") {
+    const found = await findTab(value, tab.windowId);
+    perform = async () => {
+      await chrome.tabs.update(found.id, { active: true });
+      targetTabId = found.id;
+      return `Switched to tab ${found.id} "${found.title}"`;
+    };
+  } else if (action === "close_tab") {
+    const closing = value ? await findTab(value, tab.windowId) : tab;
+    if (closing.id === panelTabId) {
+      throw new Error(
+        "The inspected tab cannot be closed; DevTools is attached to it."
+      );
+    }
+    if (!openedTabIds.includes(closing.id)) {
+      approval = {
+        level: "destructive",
+        reason: `Closes "${closing.title}", a tab this run did not open`,
+      };
+    }
+    perform = async () => {
+      await chrome.tabs.remove(closing.id);
+      if (openedTabIds.includes(closing.id)) {
+        openedTabIds.splice(openedTabIds.indexOf(closing.id), 1);
+      }
+      if (closing.id === tabId) {
+        // Carry on in the tab it was opened from, else the inspected one
+        const opener =
+          closing.openerTabId !== undefined &&
+          (await chrome.tabs.get(closing.openerTabId).catch(() => null));
+        targetTabId = opener ? opener.id : panelTabId;
+        await chrome.tabs.update(targetTabId, { active: true });
+      }
+      return `Closed tab ${closing.id} "${closing.title}"`;
+    };
+  } else if (action === "go_back") {
+    perform = async () => {
+      await chrome.tabs.goBack(tabId);
+      return "Went back";
+    };
+  } else if (action === "go_forward") {
+    perform = async () => {
+      await chrome.tabs.goForward(tabId);
+      return "Went forward";
+    };
+  } else if (action === "reload") {
+    perform = async () => {
+      await chrome.tabs.reload(tabId);
+      return "Reloaded the page";
+    };
+  } else {
+    throw new Error(`Unknown tab action '${action}'.`);
+  }
+
+  if (approval) {
+    const rules = await getApprovalRules();
+    if (!(rules[origin] || []).includes(approval.level)) {
+      const decision = await requestApproval(
+        panelTabId,
+        {
+          origin,
+          ...approval,
+          command: { action, value },
+          target: null,
+          tabTitle: tab.title,
+        },
+        signal
+      );
+      if (decision === "cancelled") throw createAbortError();
+      if (decision === "expired") {
+        return { expired: true, message: describeExpiredApproval({ action }) };
+      }
+      if (decision !== "allow" && decision !== "always") {
+        return {
+          denied: true,
+          message: `The user denied '${action}' (${approval.reason}).`,
+        };
+      }
+      if (decision === "always") {
+        await addApprovalRule(origin, approval.level);
+      }
+    }
+  }
+
+  const message = await perform();
+  const attached = await attachTab(targetTabId, signal);
+  if (run) {
+    await updateAutomationRun(panelTabId, { targetTabId, openedTabIds });
+  }
+  logDebug("Tab action done", { action, targetTabId }, panelTabId);
+  return {
+    tabId: targetTabId,
+    url: attached.url,
+    title: attached.title,
+    message,
+  };
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   (async () => {
+    // Requests that finish asynchronously (streams, tab forwarding) clear this
+    // and release their requestId themselves.
+    let releaseOnExit = true;
     try {
       // Debug Control Messages (SET_DEBUG, GET_DEBUG, DEBUG_PING)
       if (message.type === "SET_DEBUG") {
@@ -217,14 +1890,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           console.log("[Ollama Assistant BG]", "Ping from panel received");
         sendResponse({ status: "ok", message: "pong" });
         return;
+      } else if (message.type === "CANCEL_REQUEST") {
+        const cancelled = cancelRequest(message.requestId, message.tabId);
+        sendResponse({ status: "ok", cancelled });
+        return;
+      } else if (message.type === "APPROVAL_DECISION") {
+        const finish = pendingApprovals.get(message.approvalId);
+        if (finish) finish(message.decision);
+        sendResponse({ status: "ok", handled: !!finish });
+        return;
+      } else if (message.type === "GET_APPROVAL_RULES") {
+        const rules = await getApprovalRules();
+        sendResponse({ status: "ok", levels: rules[message.origin] || [] });
+        return;
+      } else if (message.type === "CLEAR_APPROVAL_RULES") {
+        await clearApprovalRules(message.origin);
+        sendResponse({ status: "ok" });
+        return;
+      } else if (message.type === "ELEMENT_PICKED" && sender.tab) {
+        // From the picker in content.js; the panel filters by tab id
+        sendPanelMessage(message, sender.tab.id);
+        sendResponse({ status: "ok" });
+        return;
       }
 
       // NEW BRANCH: forward arbitrary message to a tab robustly
       if (message && message.type === "SEND_TO_TAB") {
-        const { tabId, payload } = message;
+        const { tabId, payload, requestId } = message;
+        const controller = registerRequest(requestId);
+        releaseOnExit = false;
         // call helper and respond asynchronously
-        sendMessageToTab(tabId, payload, 3, (result) => {
-          if (result && result.status === "ok") {
+        const onResult = (result) => {
+          releaseRequest(requestId);
+          if (
+            result &&
+            ["cancelled", "denied", "expired"].includes(result.status)
+          ) {
+            sendResponse({ status: result.status, message: result.message });
+          } else if (result && result.status === "ok") {
             sendResponse({
               status: "ok",
               message: result.message,
@@ -236,7 +1939,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               message: result?.message || "Failed to send to tab",
             });
           }
-        });
+        };
+        // Page actions go through the approval policy first
+        if (
+          payload &&
+          (payload.type === "AUTOMATE_ACTION" ||
+            payload.type === "EXECUTE_COORDINATE_ACTION")
+        ) {
+          sendActionWithApproval(
+            tabId,
+            payload,
+            onResult,
+            controller.signal,
+            message.panelTabId
+          );
+        } else {
+          sendMessageToTab(tabId, payload, 3, onResult, controller.signal);
+        }
         return true; // keep channel open
       }
 
@@ -249,6 +1968,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           tabId,
           image = null,
           history = [], // Receive history from panel
+          system = null,
+          requestId = null,
+          relayActions = true, // The automation loop executes actions itself
+          options = null, // Ollama `options` (temperature, num_ctx, seed...)
+          keep_alive: keepAlive,
+          format = null, // JSON Schema the reply must follow
+          tools = null, // Function definitions for native tool calling
         } = message;
 
         if (!model) {
@@ -265,82 +1991,97 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           );
         }
 
-        const result = await callOllamaGenerate(
+        const controller = registerRequest(requestId);
+        const generation = { options, keepAlive, format, tools };
+        let result = await callOllamaGenerate(
           model,
           prompt,
           stream,
           tabId,
           image,
-          history
+          history,
+          system,
+          controller.signal,
+          () => releaseRequest(requestId),
+          generation
         );
+        if (stream) {
+          releaseOnExit = false; // Released when the stream reader finishes
+        } else if (controller.signal.aborted) {
+          // Cancelled after the reply arrived: drop it, relay nothing.
+          sendResponse({ status: "cancelled", message: "Request cancelled." });
+          return;
+        }
 
         if (!stream) {
-          // The panel now manages history based on action outcomes.
-          // We only add the AI's direct response here.
-          const assistantResponse = {
-            role: "assistant",
-            content: result.response,
-          };
-          if (!tabHistories[tabId]) tabHistories[tabId] = [];
-          tabHistories[tabId].push(assistantResponse);
+          // The panel manages history (and its persisted session) based on
+          // action outcomes.
 
           // Non-streaming path: Check if the result is a structured action command
           let actionCommand = null;
-          let responseText = result.response;
-
-          // --- ROBUST JSON EXTRACTION START ---
-
-          // 1. Try to extract from Markdown code blocks (ignoring the language label like 'css' or 'json')
-          // Regex: Matches ``` followed by optional word (language), captures content, ends with ```
-          const codeBlockMatch = responseText.match(
-            /```(?:\w+)?\s*([\s\S]*?)\s*```/
-          );
-
-          if (codeBlockMatch && codeBlockMatch[1]) {
-            // If we found a code block, use its content
-            responseText = codeBlockMatch[1];
-          }
-
-          // 2. Attempt to parse
-          try {
-            actionCommand = JSON.parse(responseText);
-            logDebug(
-              "Parsed action command successfully",
-              actionCommand,
-              tabId
-            );
-          } catch (e) {
-            // 3. Fallback: If direct parsing failed (maybe no backticks, or extra text outside backticks),
-            // try to find the first '{' and the last '}' and parse that substring.
-            logDebug(
-              "Direct parse failed, attempting heuristic JSON extraction...",
-              null,
-              tabId
-            );
-
-            const firstOpen = responseText.indexOf("{");
-            const lastClose = responseText.lastIndexOf("}");
-
-            if (firstOpen !== -1 && lastClose !== -1 && lastClose > firstOpen) {
-              const potentialJson = responseText.substring(
-                firstOpen,
-                lastClose + 1
+          let validationErrors = [];
+          if (format && typeof format === "object") {
+            ({ command: actionCommand, errors: validationErrors } =
+              checkStructuredReply(result.response, format));
+            // Re-ask with the errors; the original question (and screenshot)
+            // stays in the conversation so the model can fix its answer.
+            let turns = [
+              ...history,
+              { role: "user", content: prompt, images: image ? [image] : [] },
+            ];
+            for (
+              let attempt = 1;
+              validationErrors.length > 0 && attempt <= MAX_FORMAT_RETRIES;
+              attempt++
+            ) {
+              logDebug(
+                `Invalid structured reply, re-asking (${attempt}/${MAX_FORMAT_RETRIES})`,
+                validationErrors,
+                tabId
               );
-              try {
-                actionCommand = JSON.parse(potentialJson);
-                logDebug(
-                  "Heuristic extraction successful",
-                  actionCommand,
-                  tabId
-                );
-              } catch (e2) {
-                // If this fails, the JSON is truly malformed
-                logDebug("Heuristic extraction failed", e2.message, tabId);
-              }
+              turns = [
+                ...turns,
+                { role: "assistant", content: result.response },
+              ];
+              const correction = `Your reply was invalid: ${validationErrors.join(
+                "; "
+              )}. Reply again with only a JSON object that matches the schema.`;
+              result = await callOllamaGenerate(
+                model,
+                correction,
+                false,
+                tabId,
+                null,
+                turns,
+                system,
+                controller.signal,
+                null,
+                generation
+              );
+              turns.push({ role: "user", content: correction });
+              ({ command: actionCommand, errors: validationErrors } =
+                checkStructuredReply(result.response, format));
+            }
+            if (controller.signal.aborted) {
+              sendResponse({
+                status: "cancelled",
+                message: "Request cancelled.",
+              });
+              return;
             }
+          } else {
+            actionCommand = extractActionCommand(result.response, tabId);
           }
 
-          // --- ROBUST JSON EXTRACTION END ---
+          if (!relayActions) {
+            // The caller drives execution: hand back the parsed command (or
+            // null) instead of relaying it and reporting AUTOMATION_STATUS.
+            sendResponse({
+              status: "ok",
+              result: { ...result, command: actionCommand, validationErrors },
+            });
+            return;
+          }
 
           if (!actionCommand) {
             logDebug(
@@ -434,30 +2175,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               tabId
             );
 
-            chrome.tabs.sendMessage(
+            sendActionWithApproval(
               tabId,
               { type: "AUTOMATE_ACTION", command: actionCommand },
-              (contentResp) => {
-                // Use the original sender.tab.id (if available) or rely on the DevTools panel listener
-                const recipientId = tabId; // sender.tab is undefined from devtools, so this is always the inspected tabId
+              (result) => {
+                // sender.tab is undefined from devtools, so this is always the inspected tabId
+                const recipientId = tabId;
 
-                if (chrome.runtime.lastError) {
+                if (result.status !== "ok") {
                   logDebug(
                     "Error sending action to content script",
-                    chrome.runtime.lastError.message,
+                    result.message,
                     recipientId
                   );
-                  // Send failure status back to the panel
+                  // Send failure (or denial) status back to the panel
                   sendPanelMessage(
                     {
                       type: "AUTOMATION_STATUS",
                       status: "error",
-                      message: `Failed to communicate with content script: ${chrome.runtime.lastError.message}`,
+                      message:
+                        result.status === "denied"
+                          ? result.message
+                          : `Failed to communicate with content script: ${result.message}`,
                       action: actionCommand.action,
                     },
                     recipientId
                   );
                 } else {
+                  const contentResp = result.response || {};
                   logDebug("Content script response", contentResp, recipientId);
                   // Send the Content Script's execution status back to the panel
                   sendPanelMessage(
@@ -466,6 +2211,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                       status: contentResp.status,
                       message: contentResp.message,
                       action: actionCommand.action, // Pass the action type
+                      data: contentResp.data,
                     },
                     recipientId
                   );
@@ -506,11 +2252,69 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           // Streaming path: already handled in callOllamaGenerate, return confirmation
           sendResponse({ status: "ok", result });
         }
+      } else if (message.type === "PREPARE_PAGE_CONTEXT") {
+        const controller = registerRequest(message.requestId);
+        const context = await preparePageContext(message, controller.signal);
+        sendResponse({ status: "ok", context });
+      } else if (message.type === "INDEX_PAGE") {
+        // Pages in incognito windows are never indexed
+        if (sender.tab?.incognito) {
+          sendResponse({
+            status: "ok",
+            indexed: false,
+            reason: "Incognito pages are not indexed.",
+          });
+          return;
+        }
+        const outcome = await indexPage(message, !!message.force);
+        sendResponse({ status: "ok", ...outcome });
+      } else if (message.type === "SEARCH_PAGES") {
+        const controller = registerRequest(message.requestId);
+        const results = await searchIndex(
+          message.query,
+          message.topK || 8,
+          controller.signal
+        );
+        sendResponse({ status: "ok", results });
+      } else if (message.type === "GET_INDEX_STATS") {
+        const stats = await getIndexStats();
+        sendResponse({ status: "ok", ...stats });
+      } else if (message.type === "CLEAR_INDEX") {
+        await clearIndex();
+        sendResponse({ status: "ok" });
+      } else if (message.type === "TAB_ACTION") {
+        const controller = registerRequest(message.requestId);
+        const result = await runTabAction(message, controller.signal);
+        sendResponse(
+          result.denied || result.expired
+            ? {
+                status: result.denied ? "denied" : "expired",
+                message: result.message,
+              }
+            : { status: "ok", ...result }
+        );
+      } else if (message.type === "ATTACH_TAB") {
+        const controller = registerRequest(message.requestId);
+        const tab = await attachTab(message.tabId, controller.signal);
+        sendResponse({ status: "ok", tab });
+      } else if (message.type === "SAVE_AUTOMATION_RUN") {
+        await updateAutomationRun(message.panelTabId, message.run);
+        sendResponse({ status: "ok" });
+      } else if (message.type === "GET_AUTOMATION_RUN") {
+        const run = await getAutomationRun(message.panelTabId);
+        sendResponse({ status: "ok", run });
+      } else if (message.type === "CLEAR_AUTOMATION_RUN") {
+        await clearAutomationRun(message.panelTabId);
+        sendResponse({ status: "ok" });
+      } else if (message.type === "PREPARE_TABS_CONTEXT") {
+        const controller = registerRequest(message.requestId);
+        const contexts = await prepareTabsContext(message, controller.signal);
+        sendResponse({ status: "ok", contexts });
       } else if (message.type === "LIST_MODELS") {
-        const headers = await getHeaders();
-        const resp = await fetch(`${OLLAMA_BASE}/api/tags`, {
+        const profile = await getActiveProfile();
+        const resp = await fetch(`${profile.baseUrl}/api/tags`, {
           method: "GET",
-          headers: headers,
+          headers: getHeaders(profile.apiKey),
         });
         if (!resp.ok) {
           throw new Error(
@@ -518,17 +2322,76 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           );
         }
         const models = await resp.json();
+        // Attach capabilities (null when unknown) to each listed model
+        const infos = await Promise.all(
+          (models.models || []).map((model) => getModelInfo(profile, model))
+        );
+        (models.models || []).forEach((model, i) => {
+          model.capabilities = infos[i];
+        });
         sendResponse({ status: "ok", models });
+      } else if (message.type === "PULL_MODEL") {
+        // A pull can outlast the message channel, so this only confirms the
+        // start; the outcome follows as a PULL_PROGRESS with done set.
+        const { model, requestId, tabId } = message;
+        const controller = registerRequest(requestId);
+        releaseOnExit = false;
+        runPull(model, requestId, tabId, controller.signal);
+        sendResponse({ status: "ok" });
+      } else if (message.type === "DELETE_MODEL") {
+        await deleteModel(message.model);
+        sendResponse({ status: "ok" });
+      } else if (message.type === "SHOW_MODEL") {
+        const info = await showModel(message.model);
+        sendResponse({ status: "ok", info });
+      } else if (message.type === "LIST_RUNNING_MODELS") {
+        const models = await listRunningModels();
+        sendResponse({ status: "ok", models });
+      } else if (message.type === "UNLOAD_MODEL") {
+        await unloadModel(message.model);
+        sendResponse({ status: "ok" });
+      } else if (message.type === "GET_SESSION") {
+        const session = await getSession(
+          getSessionId(message.tabId, message.origin)
+        );
+        sendResponse({ status: "ok", session });
+      } else if (message.type === "LOAD_SESSION") {
+        const session = await getSession(message.sessionId);
+        if (!session) {
+          throw new Error("Session not found. It may have been pruned.");
+        }
+        sendResponse({ status: "ok", session });
+      } else if (message.type === "SAVE_SESSION") {
+        const session = await saveSession(message);
+        sendResponse({ status: "ok", sessionId: session?.id || null });
+      } else if (message.type === "LIST_SESSIONS") {
+        const sessions = await listSessions();
+        sendResponse({ status: "ok", sessions });
+      } else if (message.type === "TEST_CONNECTION") {
+        const info = await testConnection(message.baseUrl, message.apiKey);
+        sendResponse({ status: "ok", ...info });
       } else {
         sendResponse({ status: "error", message: "unknown type" });
       }
     } catch (err) {
+      if (err.name === "AbortError") {
+        sendResponse({ status: "cancelled", message: "Request cancelled." });
+        return;
+      }
       console.error("[Ollama Assistant BG] handler error", err);
       let detailedMessage = err.message;
       if (err.message.includes("Failed to fetch")) {
-        detailedMessage = `Failed to connect to Ollama at ${OLLAMA_BASE}. Please ensure the Ollama server is running and accessible.`;
+        const baseUrl =
+          message.type === "TEST_CONNECTION"
+            ? normalizeBaseUrl(message.baseUrl)
+            : (await getActiveProfile()).baseUrl;
+        detailedMessage = `Failed to connect to Ollama at ${baseUrl}. Please ensure the Ollama server is running and accessible.`;
       }
       sendResponse({ status: "error", message: detailedMessage });
+    } finally {
+      if (releaseOnExit && message.requestId) {
+        releaseRequest(message.requestId);
+      }
     }
   })();
   return true; // Keep channel open for asynchronous sendResponse
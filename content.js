@@ -1,172 +1,1854 @@
 // contentScript.js - Content script to execute automation commands
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // --- HANDLE VISUAL CLICK ---
-  if (message.type === "EXECUTE_COORDINATE_ACTION") {
-    // 1. Translate relative (0.5, 0.5) to pixels (960px, 540px)
-    const screenX = Math.floor(message.x * window.innerWidth);
-    const screenY = Math.floor(message.y * window.innerHeight);
-
-    console.log(`[AI Robot] Clicking at ${screenX}, ${screenY}`);
-
-    // 2. Identify the element at that specific point
-    const target = document.elementFromPoint(screenX, screenY);
-
-    if (target) {
-      // 3. Highlight it briefly for debugging (Optional)
-      const originalBorder = target.style.border;
-      target.style.border = "3px solid red";
-      setTimeout(() => (target.style.border = originalBorder), 1000);
-
-      // 4. Perform Action
-      if (message.action === "click") {
-        target.click();
-        target.focus();
-        sendResponse({
-          status: "success",
-          message: `Clicked <${target.tagName}>`,
-        });
-      } else if (message.action === "type") {
-        target.focus();
-        target.value = message.value;
-        // Dispatch input events so React/Vue sites react
-        target.dispatchEvent(new Event("input", { bubbles: true }));
-        sendResponse({
-          status: "success",
-          message: `Typed into <${target.tagName}>`,
-        });
+// Everything is scoped to this function: content.js is injected again when a
+// tab does not answer (e.g. after the extension was reloaded), and top-level
+// bindings left over from the earlier copy would make that injection throw.
+(() => {
+  // --- Interactive element map ---
+  // A compact, indexed list of the visible interactive elements on the page,
+  // including open shadow roots and same-origin iframes. The model can act on
+  // an element by its index instead of guessing a CSS selector. Indexes refer
+  // to the most recently built map.
+  let elementMapRefs = [];
+
+  const INTERACTIVE_SELECTOR = [
+    "a[href]",
+    "button",
+    "input:not([type=hidden])",
+    "select",
+    "textarea",
+    "summary",
+    "[contenteditable='']",
+    "[contenteditable='true']",
+    "[onclick]",
+    "[tabindex]:not([tabindex='-1'])",
+    "[role=button]",
+    "[role=link]",
+    "[role=checkbox]",
+    "[role=radio]",
+    "[role=switch]",
+    "[role=tab]",
+    "[role=menuitem]",
+    "[role=option]",
+    "[role=textbox]",
+    "[role=combobox]",
+    "[role=searchbox]",
+    "[role=slider]",
+  ].join(",");
+
+  const DEFAULT_MAX_MAP_ELEMENTS = 200;
+
+  function getImplicitRole(el) {
+    const tag = el.tagName.toLowerCase();
+    if (tag === "a") return "link";
+    if (tag === "button" || tag === "summary") return "button";
+    if (tag === "select") return el.multiple ? "listbox" : "combobox";
+    if (tag === "textarea") return "textbox";
+    if (tag === "input") {
+      const type = (el.type || "text").toLowerCase();
+      if (["button", "submit", "reset", "image"].includes(type))
+        return "button";
+      if (type === "checkbox" || type === "radio") return type;
+      if (type === "range") return "slider";
+      if (type === "search") return "searchbox";
+      return "textbox";
+    }
+    if (el.isContentEditable) return "textbox";
+    return "generic";
+  }
+
+  function cleanText(text, max = 80) {
+    const clean = (text || "").replace(/\s+/g, " ").trim();
+    return clean.length > max ? clean.slice(0, max - 1) + "…" : clean;
+  }
+
+  function getAccessibleName(el) {
+    const root = el.getRootNode();
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy && root.getElementById) {
+      const text = labelledBy
+        .split(/\s+/)
+        .map((id) => root.getElementById(id)?.textContent || "")
+        .join(" ");
+      if (text.trim()) return cleanText(text);
+    }
+    const candidates = [
+      el.getAttribute("aria-label"),
+      el.labels && el.labels[0] ? el.labels[0].innerText : "",
+      el.tagName === "INPUT" &&
+      ["button", "submit", "reset"].includes((el.type || "").toLowerCase())
+        ? el.value
+        : "",
+      el.getAttribute("alt"),
+      el.querySelector && el.querySelector("img[alt]")?.getAttribute("alt"),
+      el.tagName === "INPUT" || el.tagName === "TEXTAREA" ? "" : el.innerText,
+      el.getAttribute("title"),
+      el.getAttribute("placeholder"),
+    ];
+    for (const candidate of candidates) {
+      if (candidate && candidate.trim()) return cleanText(candidate);
+    }
+    return "";
+  }
+
+  function isElementVisible(el, rect) {
+    if (rect.width <= 0 || rect.height <= 0) return false;
+    const style = el.ownerDocument.defaultView.getComputedStyle(el);
+    return (
+      style.visibility !== "hidden" &&
+      style.display !== "none" &&
+      style.opacity !== "0"
+    );
+  }
+
+  // Builds a selector that is unique within the element's own root (document or
+  // shadow root), preferring ids and test/name attributes over positional
+  // paths.
+  function buildStableSelector(el) {
+    const root = el.getRootNode();
+    const isUnique = (selector) => {
+      try {
+        return root.querySelectorAll(selector).length === 1;
+      } catch (e) {
+        return false;
+      }
+    };
+    if (el.id && !/\d{3,}|^[:\d]/.test(el.id)) {
+      const selector = `#${CSS.escape(el.id)}`;
+      if (isUnique(selector)) return selector;
+    }
+    const tag = el.tagName.toLowerCase();
+    for (const attr of [
+      "data-testid",
+      "data-test",
+      "data-qa",
+      "name",
+      "aria-label",
+    ]) {
+      const value = el.getAttribute(attr);
+      if (value) {
+        const selector = `${tag}[${attr}="${CSS.escape(value)}"]`;
+        if (isUnique(selector)) return selector;
+      }
+    }
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === Node.ELEMENT_NODE) {
+      let part = node.tagName.toLowerCase();
+      if (node.id && !/\d{3,}|^[:\d]/.test(node.id)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(
+          (child) => child.tagName === node.tagName
+        );
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      node = parent;
+    }
+    return parts.join(" > ");
+  }
+
+  // Fields whose value must not leave the page: passwords, card details and
+  // one-time codes
+  function isSensitiveField(el) {
+    if (el.tagName !== "INPUT") return false;
+    const autocomplete = (el.getAttribute("autocomplete") || "").toLowerCase();
+    return (
+      el.type === "password" || /(^|\s)(cc-|one-time-code)/.test(autocomplete)
+    );
+  }
+
+  function describeElementValue(el) {
+    const tag = el.tagName;
+    if (tag === "INPUT" && ["checkbox", "radio"].includes(el.type)) {
+      return { checked: el.checked };
+    }
+    if (isSensitiveField(el)) {
+      return { value: el.value ? "••••" : "" };
+    }
+    if (tag === "SELECT") {
+      return { value: cleanText(el.selectedOptions[0]?.text || "", 40) };
+    }
+    if (tag === "INPUT" || tag === "TEXTAREA") {
+      return { value: cleanText(el.value, 40) };
+    }
+    return {};
+  }
+
+  // Walks a document or shadow root, descending into open shadow roots and
+  // same-origin iframes. `offset` translates boxes into top-level viewport
+  // coordinates.
+  function collectInteractiveElements(root, offset, context, out, options) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    let el =
+      walker.currentNode.nodeType === Node.ELEMENT_NODE
+        ? walker.currentNode
+        : walker.nextNode();
+    while (el && out.length < options.max) {
+      if (el.matches(INTERACTIVE_SELECTOR) && !el.disabled) {
+        const rect = el.getBoundingClientRect();
+        const box = {
+          x: Math.round(rect.left + offset.x),
+          y: Math.round(rect.top + offset.y),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+        };
+        const inViewport =
+          box.x + box.width > 0 &&
+          box.y + box.height > 0 &&
+          box.x < window.innerWidth &&
+          box.y < window.innerHeight;
+        if (
+          isElementVisible(el, rect) &&
+          (inViewport || !options.viewportOnly)
+        ) {
+          out.push({
+            element: el,
+            entry: {
+              index: out.length,
+              tag: el.tagName.toLowerCase(),
+              role: el.getAttribute("role") || getImplicitRole(el),
+              name: getAccessibleName(el),
+              label: cleanText(el.labels && el.labels[0]?.innerText, 60),
+              ...describeElementValue(el),
+              box,
+              inViewport,
+              selector: buildStableSelector(el),
+              context,
+            },
+          });
+        }
+      }
+      if (el.shadowRoot) {
+        collectInteractiveElements(
+          el.shadowRoot,
+          offset,
+          "shadow",
+          out,
+          options
+        );
+      }
+      if (el.tagName === "IFRAME") {
+        let frameDoc = null;
+        try {
+          frameDoc = el.contentDocument; // null or throws when cross-origin
+        } catch (e) {
+          frameDoc = null;
+        }
+        if (frameDoc && frameDoc.documentElement) {
+          const frameRect = el.getBoundingClientRect();
+          collectInteractiveElements(
+            frameDoc.documentElement,
+            {
+              x: offset.x + frameRect.left + el.clientLeft,
+              y: offset.y + frameRect.top + el.clientTop,
+            },
+            "iframe",
+            out,
+            options
+          );
+        }
       }
+      el = walker.nextNode();
+    }
+    return out;
+  }
+
+  function buildElementMap(options = {}) {
+    const collected = collectInteractiveElements(
+      document.documentElement,
+      { x: 0, y: 0 },
+      null,
+      [],
+      {
+        max: options.max || DEFAULT_MAX_MAP_ELEMENTS,
+        viewportOnly: !!options.viewportOnly,
+      }
+    );
+    elementMapRefs = collected.map((item) => item.element);
+    return {
+      url: window.location.href,
+      title: document.title,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      elements: collected.map((item) => item.entry),
+    };
+  }
+
+  function getMappedElement(index) {
+    const el = elementMapRefs[index];
+    return el && el.isConnected ? el : null;
+  }
+
+  // --- Set-of-marks overlay ---
+  // Draws a numbered label over every interactive element in view so vision
+  // models can answer with a mark id. Mark ids are element map indexes.
+  const MARKS_OVERLAY_ID = "__ollama-assistant-marks";
+  const MARK_COLORS = [
+    "#e6194b",
+    "#3cb44b",
+    "#4363d8",
+    "#f58231",
+    "#911eb4",
+    "#008080",
+    "#9a6324",
+    "#800000",
+  ];
+
+  function showMarks(options = {}) {
+    hideMarks();
+    const map = buildElementMap({ ...options, viewportOnly: true });
+    const overlay = document.createElement("div");
+    overlay.id = MARKS_OVERLAY_ID;
+    Object.assign(overlay.style, {
+      position: "fixed",
+      inset: "0",
+      zIndex: "2147483647",
+      pointerEvents: "none",
+    });
+    map.elements.forEach((el) => {
+      const color = MARK_COLORS[el.index % MARK_COLORS.length];
+      const box = document.createElement("div");
+      Object.assign(box.style, {
+        position: "fixed",
+        left: `${el.box.x}px`,
+        top: `${el.box.y}px`,
+        width: `${el.box.width}px`,
+        height: `${el.box.height}px`,
+        outline: `2px solid ${color}`,
+        boxSizing: "border-box",
+      });
+      const label = document.createElement("div");
+      label.textContent = String(el.index);
+      // Above the element when there is room, otherwise inside its top edge
+      Object.assign(label.style, {
+        position: "fixed",
+        left: `${Math.max(0, el.box.x)}px`,
+        top: `${el.box.y >= 14 ? el.box.y - 14 : Math.max(0, el.box.y)}px`,
+        background: color,
+        color: "#fff",
+        font: "bold 11px/14px monospace",
+        padding: "0 3px",
+        borderRadius: "2px",
+      });
+      overlay.appendChild(box);
+      overlay.appendChild(label);
+    });
+    document.documentElement.appendChild(overlay);
+    return map;
+  }
+
+  function hideMarks() {
+    document.getElementById(MARKS_OVERLAY_ID)?.remove();
+  }
+
+  // --- Page text extraction ---
+  // GET_PAGE_CONTEXT can return the full text, only the main content or only
+  // the user's selection. Main content is found readability-style: every
+  // paragraph credits its parent (and half to its grandparent) with its text
+  // length, link heavy and boilerplate containers are penalised, and the best
+  // one wins.
+  const BOILERPLATE_PATTERN =
+    /comment|footer|header|menu|nav|sidebar|sponsor|banner|cookie|promo|related|share|social|subscribe/i;
+
+  function getLinkDensity(el) {
+    const textLength = (el.innerText || "").length;
+    if (!textLength) return 1;
+    const linkLength = Array.from(el.querySelectorAll("a")).reduce(
+      (sum, a) => sum + (a.innerText || "").length,
+      0
+    );
+    return Math.min(linkLength / textLength, 1);
+  }
+
+  function extractMainContent() {
+    const scores = new Map();
+    const credit = (el, points) => {
+      if (!el || el === document.body || el === document.documentElement)
+        return;
+      scores.set(el, (scores.get(el) || 0) + points);
+    };
+    document.querySelectorAll("p, pre, blockquote, li, td").forEach((p) => {
+      const length = (p.innerText || "").trim().length;
+      if (length < 25) return;
+      const points = 1 + Math.min(length / 100, 3) + (length > 80 ? 1 : 0);
+      credit(p.parentElement, points);
+      credit(p.parentElement?.parentElement, points / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+      let adjusted = score * (1 - getLinkDensity(el));
+      if (
+        /^(ARTICLE|MAIN)$/.test(el.tagName) ||
+        el.getAttribute("role") === "main"
+      ) {
+        adjusted *= 1.5;
+      }
+      if (BOILERPLATE_PATTERN.test(`${el.id} ${el.className}`)) adjusted *= 0.3;
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    });
+    const main =
+      best ||
+      document.querySelector("article, main, [role='main']") ||
+      document.body;
+    return main.innerText || main.textContent || "";
+  }
+
+  function getSelectedText() {
+    const active = document.activeElement;
+    if (
+      active &&
+      (active.tagName === "TEXTAREA" || active.tagName === "INPUT") &&
+      typeof active.selectionStart === "number" &&
+      active.selectionEnd > active.selectionStart
+    ) {
+      return active.value.slice(active.selectionStart, active.selectionEnd);
+    }
+    return window.getSelection().toString();
+  }
+
+  function getPageText(mode) {
+    if (mode === "main") return extractMainContent();
+    if (mode === "selection") return getSelectedText();
+    return document.body.innerText || document.body.textContent || "";
+  }
+
+  // --- Page indexing ---
+  // With "Index pages I visit" on, the main content of each top-level http(s)
+  // page is chunked here and sent to background.js, which embeds and stores it.
+  // Pages with a password field are skipped.
+  const INDEX_CHUNK_CHARS = 1200;
+  const INDEX_CHUNK_OVERLAP = 200; // Carried into the next chunk for context
+  const INDEX_DELAY_MS = 3000; // Lets client-rendered pages fill in first
+
+  function chunkPageText(text) {
+    const chunks = [];
+    let current = "";
+    text
+      .split(/\n+/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .forEach((line) => {
+        if (current && current.length + line.length + 1 > INDEX_CHUNK_CHARS) {
+          chunks.push(current);
+          current = current.slice(-INDEX_CHUNK_OVERLAP);
+        }
+        current = current ? `${current}\n${line}` : line;
+        while (current.length > INDEX_CHUNK_CHARS) {
+          chunks.push(current.slice(0, INDEX_CHUNK_CHARS));
+          current = current.slice(INDEX_CHUNK_CHARS - INDEX_CHUNK_OVERLAP);
+        }
+      });
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  function indexCurrentPage(force, callback = () => {}) {
+    if (document.querySelector("input[type='password']")) {
+      callback({
+        status: "ok",
+        indexed: false,
+        reason: "Pages with a password field are not indexed.",
+      });
+      return;
+    }
+    chrome.runtime.sendMessage(
+      {
+        type: "INDEX_PAGE",
+        force,
+        url: location.href.split("#")[0],
+        title: document.title,
+        chunks: chunkPageText(extractMainContent()),
+      },
+      (resp) => {
+        if (chrome.runtime.lastError) {
+          callback({
+            status: "error",
+            message: chrome.runtime.lastError.message,
+          });
+          return;
+        }
+        callback(resp);
+      }
+    );
+  }
+
+  if (window.top === window && /^https?:$/.test(location.protocol)) {
+    chrome.storage.local.get("indexPages", (data) => {
+      if (data.indexPages)
+        setTimeout(() => indexCurrentPage(false), INDEX_DELAY_MS);
+    });
+  }
+
+  // --- Action preview ---
+  // Outlines the element a pending action would act on while the panel asks the
+  // user to approve it.
+  const ACTION_PREVIEW_ID = "__ollama-assistant-preview";
+
+  // Element an AUTOMATE_ACTION or EXECUTE_COORDINATE_ACTION payload targets
+  function resolveActionPayloadTarget(payload) {
+    if (payload.type === "EXECUTE_COORDINATE_ACTION") {
+      return document.elementFromPoint(
+        Math.floor(payload.x * window.innerWidth),
+        Math.floor(payload.y * window.innerHeight)
+      );
+    }
+    const { action, index, selector } = payload.command || {};
+    const element = resolveCommandTarget(index, selector);
+    if (
+      !element &&
+      action === "press_key" &&
+      (index === undefined || index === null) &&
+      !selector
+    ) {
+      return document.activeElement;
+    }
+    return element;
+  }
+
+  // Bounding box in top-level viewport coordinates, for elements inside
+  // same-origin iframes too
+  function getViewportRect(el) {
+    const rect = el.getBoundingClientRect();
+    let x = rect.left;
+    let y = rect.top;
+    let frame = el.ownerDocument.defaultView.frameElement;
+    while (frame) {
+      const frameRect = frame.getBoundingClientRect();
+      x += frameRect.left + frame.clientLeft;
+      y += frameRect.top + frame.clientTop;
+      frame = frame.ownerDocument.defaultView.frameElement;
+    }
+    return { x, y, width: rect.width, height: rect.height };
+  }
+
+  function describeActionTarget(el) {
+    if (!el) return null;
+    const form = el.form || el.closest("form");
+    const type = (el.getAttribute("type") || "").toLowerCase();
+    // Clicks usually land on a <span> or <svg> inside the submit button
+    const control = el.closest("button, input[type=submit], input[type=image]");
+    const controlType = (control?.getAttribute("type") || "").toLowerCase();
+    const isSubmit =
+      !!control?.form &&
+      (control.tagName === "INPUT" || ["", "submit"].includes(controlType));
+    return {
+      tag: el.tagName.toLowerCase(),
+      role: el.getAttribute("role") || getImplicitRole(el),
+      name: getAccessibleName(el),
+      // A password or card number must not end up in the prompt
+      text: cleanText(
+        el.innerText || (isSensitiveField(el) ? "" : el.value) || "",
+        120
+      ),
+      type,
+      href: el.closest("a[href]")?.href || "",
+      inForm: !!form,
+      isSubmit,
+      formAction: form ? form.action : "",
+      selector: buildStableSelector(el),
+    };
+  }
+
+  function showActionPreview(payload, label) {
+    hideActionPreview();
+    const element = resolveActionPayloadTarget(payload);
+    if (!element || element === document.body) return null;
+    // A coordinate action hits whatever is at its point when it runs, so the
+    // page must not move under it
+    if (payload.type !== "EXECUTE_COORDINATE_ACTION") {
+      element.scrollIntoView({ block: "center", inline: "nearest" });
+    }
+    const box = getViewportRect(element);
+    const overlay = document.createElement("div");
+    overlay.id = ACTION_PREVIEW_ID;
+    Object.assign(overlay.style, {
+      position: "fixed",
+      left: `${box.x - 3}px`,
+      top: `${box.y - 3}px`,
+      width: `${box.width + 6}px`,
+      height: `${box.height + 6}px`,
+      outline: "3px dashed #d93025",
+      background: "rgba(217, 48, 37, 0.12)",
+      boxSizing: "border-box",
+      zIndex: "2147483647",
+      pointerEvents: "none",
+    });
+    const tag = document.createElement("div");
+    tag.textContent = label || "Awaiting approval";
+    Object.assign(tag.style, {
+      position: "absolute",
+      left: "0",
+      bottom: "100%",
+      background: "#d93025",
+      color: "#fff",
+      font: "bold 11px/16px sans-serif",
+      padding: "0 4px",
+      whiteSpace: "nowrap",
+    });
+    overlay.appendChild(tag);
+    document.documentElement.appendChild(overlay);
+    return box;
+  }
+
+  function hideActionPreview() {
+    document.getElementById(ACTION_PREVIEW_ID)?.remove();
+  }
+
+  // --- Element picker ---
+  // Lets the user pick an element by hovering and clicking it, or hands over
+  // the element selected in the Elements panel (the panel marks $0 with
+  // FOCUS_ATTR, since $0 only exists in the page's own world).
+  // GET_ELEMENT_DETAILS then describes the focused element for a question about
+  // it.
+  const PICKER_OVERLAY_ID = "__ollama-assistant-picker";
+  const FOCUS_ATTR = "data-ollama-assistant-focus";
+  const MAX_OUTER_HTML = 50000;
+  const STYLE_PROPERTIES = [
+    "display",
+    "position",
+    "top",
+    "left",
+    "width",
+    "height",
+    "margin",
+    "padding",
+    "border",
+    "box-sizing",
+    "overflow",
+    "visibility",
+    "opacity",
+    "z-index",
+    "color",
+    "background-color",
+    "background-image",
+    "font-family",
+    "font-size",
+    "font-weight",
+    "line-height",
+    "text-align",
+    "flex-direction",
+    "justify-content",
+    "align-items",
+    "gap",
+    "grid-template-columns",
+    "transform",
+    "pointer-events",
+    "cursor",
+  ];
+  // Values that say nothing about the element are left out to save tokens
+  const DEFAULT_STYLE_VALUES = [
+    "none",
+    "normal",
+    "auto",
+    "0px",
+    "static",
+    "visible",
+    "1",
+  ];
+
+  let focusedElement = null;
+  let pickerListeners = null;
+
+  function drawPickerHighlight(el) {
+    let overlay = document.getElementById(PICKER_OVERLAY_ID);
+    if (!overlay) {
+      overlay = document.createElement("div");
+      overlay.id = PICKER_OVERLAY_ID;
+      Object.assign(overlay.style, {
+        position: "fixed",
+        outline: "2px solid #1a73e8",
+        background: "rgba(26, 115, 232, 0.15)",
+        boxSizing: "border-box",
+        zIndex: "2147483647",
+        pointerEvents: "none",
+      });
+      const tag = document.createElement("div");
+      Object.assign(tag.style, {
+        position: "absolute",
+        left: "0",
+        bottom: "100%",
+        background: "#1a73e8",
+        color: "#fff",
+        font: "bold 11px/16px sans-serif",
+        padding: "0 4px",
+        whiteSpace: "nowrap",
+      });
+      overlay.appendChild(tag);
+      document.documentElement.appendChild(overlay);
+    }
+    const rect = el.getBoundingClientRect();
+    Object.assign(overlay.style, {
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+    overlay.firstChild.textContent = buildStableSelector(el);
+  }
+
+  function stopElementPicker() {
+    if (pickerListeners) {
+      Object.entries(pickerListeners).forEach(([type, listener]) =>
+        document.removeEventListener(type, listener, true)
+      );
+      pickerListeners = null;
+    }
+    document.getElementById(PICKER_OVERLAY_ID)?.remove();
+  }
+
+  // Reports the outcome to the panel (relayed by background.js with the tab id)
+  function startElementPicker() {
+    stopElementPicker();
+    const swallow = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+    };
+    const finish = (el) => {
+      stopElementPicker();
+      if (el) focusedElement = el;
+      chrome.runtime.sendMessage({
+        type: "ELEMENT_PICKED",
+        picked: !!el,
+        target: el ? describeActionTarget(el) : null,
+      });
+    };
+    pickerListeners = {
+      mousemove: (event) => {
+        if (event.target instanceof Element) drawPickerHighlight(event.target);
+      },
+      mousedown: swallow,
+      mouseup: swallow,
+      click: (event) => {
+        swallow(event);
+        finish(event.target instanceof Element ? event.target : null);
+      },
+      keydown: (event) => {
+        if (event.key !== "Escape") return;
+        swallow(event);
+        finish(null);
+      },
+    };
+    Object.entries(pickerListeners).forEach(([type, listener]) =>
+      document.addEventListener(type, listener, true)
+    );
+  }
+
+  function getFocusedElement(source) {
+    if (source === "inspected") {
+      const marked = document.querySelector(`[${FOCUS_ATTR}]`);
+      if (marked) {
+        marked.removeAttribute(FOCUS_ATTR);
+        focusedElement = marked;
+      }
+    }
+    return focusedElement?.isConnected ? focusedElement : null;
+  }
+
+  function getComputedStyleSummary(el) {
+    const computed = el.ownerDocument.defaultView.getComputedStyle(el);
+    const styles = {};
+    STYLE_PROPERTIES.forEach((property) => {
+      const value = computed.getPropertyValue(property);
+      if (value && !DEFAULT_STYLE_VALUES.includes(value)) {
+        styles[property] = value;
+      }
+    });
+    return styles;
+  }
+
+  function describeFocusedElement(el) {
+    let html = el.outerHTML;
+    if (isSensitiveField(el) && el.hasAttribute("value")) {
+      const copy = el.cloneNode(false);
+      copy.setAttribute("value", "••••");
+      html = copy.outerHTML;
+    }
+    return {
+      ...describeActionTarget(el),
+      outerHTML:
+        html.length > MAX_OUTER_HTML ? html.slice(0, MAX_OUTER_HTML) : html,
+      truncated: html.length > MAX_OUTER_HTML,
+      styles: getComputedStyleSummary(el),
+      rect: getViewportRect(el),
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+    };
+  }
+
+  // --- Page settle detection ---
+  // After an action the page counts as settled once it has finished loading,
+  // the DOM has not changed for a quiet window and no finite CSS transition or
+  // animation is running. The extension's own overlays are left out. Network
+  // requests cannot be seen from here; background.js counts them with
+  // chrome.webRequest and combines both.
+  const OWN_ID_PREFIX = "__ollama-assistant";
+  const SETTLE_QUIET_MS = 500;
+  const SETTLE_TIMEOUT_MS = 10000;
+  const SETTLE_POLL_MS = 100;
+  const MAX_WAIT_FOR_MS = 30000;
+
+  let lastMutation = 0;
+  let mutationCount = 0; // Page mutations so far, for action verification
+
+  function isOwnMutation(mutation) {
+    const el =
+      mutation.target.nodeType === Node.ELEMENT_NODE
+        ? mutation.target
+        : mutation.target.parentElement;
+    if (el?.closest(`[id^='${OWN_ID_PREFIX}']`)) return true;
+    if (mutation.attributeName === FOCUS_ATTR) return true;
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return (
+      nodes.length > 0 &&
+      nodes.every((node) => (node.id || "").startsWith(OWN_ID_PREFIX))
+    );
+  }
+
+  new MutationObserver((mutations) => {
+    const pageMutations = mutations.filter((m) => !isOwnMutation(m)).length;
+    if (pageMutations === 0) return;
+    mutationCount += pageMutations;
+    lastMutation = Date.now();
+  }).observe(document, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    characterData: true,
+  });
+
+  // Infinite animations (spinners aside, mostly decoration) never end, so only
+  // the ones that will finish are waited for.
+  function countRunningAnimations() {
+    if (!document.getAnimations) return 0;
+    return document
+      .getAnimations()
+      .filter(
+        (animation) =>
+          animation.playState === "running" &&
+          animation.effect?.getComputedTiming().endTime !== Infinity
+      ).length;
+  }
+
+  // What still keeps the page busy; empty once it is settled. since is when the
+  // wait began, so changes an action triggers a moment later are not missed.
+  function getBusyReasons(since, quietMs) {
+    const now = Date.now();
+    const reasons = [];
+    if (document.readyState !== "complete") reasons.push("page still loading");
+    if (now - Math.max(since, lastMutation) < quietMs) {
+      reasons.push("DOM still changing");
+    }
+    const animations = countRunningAnimations();
+    if (animations > 0) reasons.push(`${animations} transition(s) running`);
+    return reasons;
+  }
+
+  // Resolves with { settled, waited, busy }; busy lists what was still going on
+  // when timeoutMs ran out.
+  function waitForPageSettle(
+    quietMs = SETTLE_QUIET_MS,
+    timeoutMs = SETTLE_TIMEOUT_MS
+  ) {
+    const start = Date.now();
+    return new Promise((resolve) => {
+      const check = () => {
+        const busy = getBusyReasons(start, quietMs);
+        const waited = Date.now() - start;
+        if (busy.length === 0 || waited >= timeoutMs) {
+          resolve({ settled: busy.length === 0, waited, busy });
+        } else {
+          setTimeout(check, SETTLE_POLL_MS);
+        }
+      };
+      check();
+    });
+  }
+
+  // The wait_for action: resolves once the element (index or selector) or the
+  // text in value is shown - or, with state "disappear", gone - and fails after
+  // command.timeout ms. Results are shaped like performElementAction's.
+  function waitForCondition(command) {
+    const { index, selector, value, state = "appear" } = command;
+    const timeout = Math.min(
+      parseInt(command.timeout, 10) || SETTLE_TIMEOUT_MS,
+      MAX_WAIT_FOR_MS
+    );
+    const hasIndex = index !== undefined && index !== null;
+    let what;
+    let isShown;
+    const data = {};
+    if (hasIndex || selector) {
+      // A mapped element that leaves the DOM counts as gone for good
+      const mapped = hasIndex ? getMappedElement(index) : null;
+      what = hasIndex ? `element [${index}]` : selector;
+      if (mapped) data.selector = buildStableSelector(mapped);
+      else if (selector) data.selector = selector;
+      isShown = () => {
+        const el = hasIndex
+          ? mapped?.isConnected && mapped
+          : document.querySelector(selector);
+        return !!el && isElementVisible(el, el.getBoundingClientRect());
+      };
+    } else if (value) {
+      what = `text "${value}"`;
+      isShown = () => document.body.innerText.includes(String(value));
     } else {
-      sendResponse({
+      return Promise.resolve({
         status: "error",
-        message: "No element found at coordinates",
+        message:
+          "wait_for needs an element (index or selector) or text in value",
+        data,
       });
     }
-    return true; // Keep channel open
+    const wanted = state !== "disappear";
+    const start = Date.now();
+    return new Promise((resolve) => {
+      const check = () => {
+        const waited = Date.now() - start;
+        try {
+          if (isShown() === wanted) {
+            resolve({
+              status: "ok",
+              message: `${what} ${
+                wanted ? "appeared" : "disappeared"
+              } after ${waited}ms`,
+              data: { ...data, waited },
+            });
+          } else if (waited >= timeout) {
+            resolve({
+              status: "error",
+              message: `${what} did not ${
+                wanted ? "appear" : "disappear"
+              } within ${timeout}ms`,
+              data,
+            });
+          } else {
+            setTimeout(check, SETTLE_POLL_MS);
+          }
+        } catch (e) {
+          resolve({
+            status: "error",
+            message: `wait_for failed: ${e.message}`,
+          });
+        }
+      };
+      check();
+    });
+  }
+
+  // --- Action helpers ---
+  // Synthetic events do not trigger the browser's default behaviour, so the
+  // helpers below emulate the parts that pages rely on (text insertion, Enter
+  // submitting a form, Tab moving focus).
+  const NAMED_KEYS = {
+    enter: { key: "Enter", code: "Enter", keyCode: 13 },
+    tab: { key: "Tab", code: "Tab", keyCode: 9 },
+    escape: { key: "Escape", code: "Escape", keyCode: 27 },
+    esc: { key: "Escape", code: "Escape", keyCode: 27 },
+    backspace: { key: "Backspace", code: "Backspace", keyCode: 8 },
+    delete: { key: "Delete", code: "Delete", keyCode: 46 },
+    space: { key: " ", code: "Space", keyCode: 32 },
+    arrowup: { key: "ArrowUp", code: "ArrowUp", keyCode: 38 },
+    arrowdown: { key: "ArrowDown", code: "ArrowDown", keyCode: 40 },
+    arrowleft: { key: "ArrowLeft", code: "ArrowLeft", keyCode: 37 },
+    arrowright: { key: "ArrowRight", code: "ArrowRight", keyCode: 39 },
+    home: { key: "Home", code: "Home", keyCode: 36 },
+    end: { key: "End", code: "End", keyCode: 35 },
+    pageup: { key: "PageUp", code: "PageUp", keyCode: 33 },
+    pagedown: { key: "PageDown", code: "PageDown", keyCode: 34 },
+  };
+
+  function getKeyInfo(key) {
+    const named = NAMED_KEYS[key.toLowerCase()];
+    if (named) return named;
+    if (/^f\d{1,2}$/i.test(key)) {
+      const n = parseInt(key.slice(1), 10);
+      return { key: `F${n}`, code: `F${n}`, keyCode: 111 + n };
+    }
+    const upper = key.toUpperCase();
+    let code = "";
+    if (/^[A-Z]$/.test(upper)) code = `Key${upper}`;
+    else if (/^\d$/.test(key)) code = `Digit${key}`;
+    return { key, code, keyCode: upper.charCodeAt(0) };
+  }
+
+  // Parses "Enter", "a", "Control+a" or "Shift+Tab" into a key and modifiers.
+  function parseKeySpec(spec) {
+    const parts = String(spec).split("+");
+    const key = parts.pop() || "+"; // "Control++" ends with an empty part
+    const modifiers = {
+      ctrlKey: false,
+      shiftKey: false,
+      altKey: false,
+      metaKey: false,
+    };
+    parts.forEach((part) => {
+      const name = part.trim().toLowerCase();
+      if (name === "ctrl" || name === "control") modifiers.ctrlKey = true;
+      else if (name === "shift") modifiers.shiftKey = true;
+      else if (name === "alt" || name === "option") modifiers.altKey = true;
+      else if (["meta", "cmd", "command"].includes(name))
+        modifiers.metaKey = true;
+    });
+    return { keyInfo: getKeyInfo(key), modifiers };
+  }
+
+  function dispatchKey(el, type, keyInfo, modifiers = {}) {
+    return el.dispatchEvent(
+      new KeyboardEvent(type, {
+        key: keyInfo.key,
+        code: keyInfo.code,
+        keyCode: keyInfo.keyCode,
+        which: keyInfo.keyCode,
+        charCode: type === "keypress" ? keyInfo.key.charCodeAt(0) : 0,
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        ...modifiers,
+      })
+    );
+  }
+
+  function getElementCenter(el) {
+    const rect = el.getBoundingClientRect();
+    return {
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+    };
+  }
+
+  function dispatchMouse(el, type, options = {}) {
+    const EventType = type.startsWith("pointer") ? PointerEvent : MouseEvent;
+    return el.dispatchEvent(
+      new EventType(type, {
+        bubbles: !["mouseenter", "pointerenter"].includes(type),
+        cancelable: true,
+        composed: true,
+        view: el.ownerDocument.defaultView,
+        ...getElementCenter(el),
+        ...options,
+      })
+    );
   }
 
-  // Optional: Keep GET_PAGE_CONTEXT listener for compatibility, though DevTools panel might use eval()
-  if (message && message.type === "GET_PAGE_CONTEXT") {
-    const title = document.title;
-    const url = window.location.href;
-    const text = document.body.innerText || document.body.textContent || "";
-    sendResponse({ title, url, text });
-    return true; // Keep channel open for async response
+  function isTextEntry(el) {
+    if (el.isContentEditable || el.tagName === "TEXTAREA") return true;
+    return (
+      el.tagName === "INPUT" &&
+      ![
+        "checkbox",
+        "radio",
+        "button",
+        "submit",
+        "reset",
+        "image",
+        "file",
+        "range",
+        "color",
+      ].includes((el.type || "text").toLowerCase())
+    );
   }
 
-  // --- AUTOMATION ACTION HANDLER ---
-  else if (message && message.type === "AUTOMATE_ACTION") {
-    const { action, selector, value } = message.command;
-    let status = "error";
-    let responseMessage = `Action '${action}' failed.`;
+  // Uses the prototype's value setter so frameworks that track the value
+  // themselves (React in particular) notice the change.
+  function setNativeValue(el, value) {
+    const view = el.ownerDocument.defaultView;
+    const proto =
+      el.tagName === "TEXTAREA"
+        ? view.HTMLTextAreaElement.prototype
+        : el.tagName === "SELECT"
+        ? view.HTMLSelectElement.prototype
+        : view.HTMLInputElement.prototype;
+    const setter = Object.getOwnPropertyDescriptor(proto, "value")?.set;
+    if (setter) {
+      setter.call(el, value);
+    } else {
+      el.value = value;
+    }
+  }
 
+  function insertText(el, text) {
+    if (el.isContentEditable) {
+      // Fires beforeinput/input like real typing, so editors update their model
+      el.ownerDocument.execCommand("insertText", false, text);
+      return;
+    }
+    let inserted = false;
     try {
-      // Some actions don't need a selector, handle them first.
-      if (action === "wait") {
-        const waitTime = parseInt(value, 10) || 1000;
-        setTimeout(() => {
-          sendResponse({
-            status: "ok",
-            message: `Successfully waited for ${waitTime}ms`,
-          });
-        }, waitTime);
-        return true; // Return true for async response
-      } else if (action === "done") {
-        status = "ok";
-        responseMessage = "Task marked as complete.";
-      } else if (action === "answer") {
-        status = "ok";
-        responseMessage = `AI answered: ${value}`;
-      } else if (action === "navigate") {
+      el.setRangeText(text, el.selectionStart, el.selectionEnd, "end");
+      inserted = true;
+    } catch (e) {
+      // email/number inputs have no selection API; append instead
+    }
+    if (!inserted) {
+      setNativeValue(el, (el.value || "") + text);
+    } else {
+      // setRangeText bypasses trackers; re-apply through the native setter
+      setNativeValue(el, el.value);
+    }
+    el.dispatchEvent(
+      new InputEvent("input", {
+        bubbles: true,
+        composed: true,
+        inputType: "insertText",
+        data: text,
+      })
+    );
+  }
+
+  function clearField(el) {
+    el.focus();
+    if (el.isContentEditable) {
+      const selection = el.ownerDocument.getSelection();
+      selection.selectAllChildren(el);
+      el.ownerDocument.execCommand("delete", false);
+      if (el.textContent) el.textContent = "";
+    } else {
+      setNativeValue(el, "");
+    }
+    el.dispatchEvent(
+      new InputEvent("input", {
+        bubbles: true,
+        composed: true,
+        inputType: "deleteContentBackward",
+      })
+    );
+  }
+
+  // Types character by character with keydown/keypress/input/keyup for each,
+  // replacing the current content.
+  function typeText(el, text) {
+    clearField(el);
+    if (el.isContentEditable) {
+      el.ownerDocument.getSelection().selectAllChildren(el);
+      el.ownerDocument.getSelection().collapseToEnd();
+    }
+    for (const char of String(text)) {
+      const keyInfo = char === "\n" ? NAMED_KEYS.enter : getKeyInfo(char);
+      if (dispatchKey(el, "keydown", keyInfo)) {
+        dispatchKey(el, "keypress", keyInfo);
+        if (
+          char !== "\n" ||
+          el.isContentEditable ||
+          el.tagName === "TEXTAREA"
+        ) {
+          insertText(el, char);
+        }
+      }
+      dispatchKey(el, "keyup", keyInfo);
+    }
+    if (!el.isContentEditable) {
+      el.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+    return el.isContentEditable ? el.innerText : el.value;
+  }
+
+  function moveFocus(from, direction) {
+    const focusable = Array.from(
+      from.ownerDocument.querySelectorAll(
+        "a[href], button, input, select, textarea, [tabindex], [contenteditable='true']"
+      )
+    ).filter(
+      (el) =>
+        !el.disabled &&
+        el.tabIndex >= 0 &&
+        el.getClientRects().length > 0 &&
+        el.type !== "hidden"
+    );
+    const current = focusable.indexOf(from);
+    const next =
+      focusable[
+        (current + direction + focusable.length) % Math.max(focusable.length, 1)
+      ];
+    if (next) next.focus();
+    return next;
+  }
+
+  function pressKey(el, spec) {
+    const { keyInfo, modifiers } = parseKeySpec(spec);
+    const printable =
+      keyInfo.key.length === 1 &&
+      !modifiers.ctrlKey &&
+      !modifiers.metaKey &&
+      !modifiers.altKey;
+    const notCancelled = dispatchKey(el, "keydown", keyInfo, modifiers);
+    if (notCancelled && (printable || keyInfo.key === "Enter")) {
+      dispatchKey(el, "keypress", keyInfo, modifiers);
+    }
+    if (notCancelled) {
+      if (printable && isTextEntry(el)) {
+        insertText(el, keyInfo.key);
+      } else if (
+        keyInfo.key === "Enter" &&
+        el.tagName === "INPUT" &&
+        el.form &&
+        isTextEntry(el)
+      ) {
+        el.form.requestSubmit ? el.form.requestSubmit() : el.form.submit();
+      } else if (keyInfo.key === "Tab") {
+        moveFocus(el, modifiers.shiftKey ? -1 : 1);
+      }
+    }
+    dispatchKey(el, "keyup", keyInfo, modifiers);
+  }
+
+  function clickSequence(el, count, button = 0) {
+    const buttons = button === 2 ? 2 : 1;
+    for (let detail = 1; detail <= count; detail++) {
+      dispatchMouse(el, "pointerdown", { button, buttons, detail });
+      dispatchMouse(el, "mousedown", { button, buttons, detail });
+      dispatchMouse(el, "pointerup", { button, buttons: 0, detail });
+      dispatchMouse(el, "mouseup", { button, buttons: 0, detail });
+      if (button === 0) {
+        dispatchMouse(el, "click", { button, detail });
+      }
+    }
+  }
+
+  function hoverElement(el) {
+    ["pointerover", "pointerenter", "mouseover", "mouseenter"].forEach((type) =>
+      dispatchMouse(el, type)
+    );
+    dispatchMouse(el, "pointermove");
+    dispatchMouse(el, "mousemove");
+  }
+
+  function selectOption(el, wanted) {
+    if (el.tagName !== "SELECT") return null;
+    const needle = String(wanted).trim().toLowerCase();
+    const option =
+      Array.from(el.options).find((opt) => opt.value === String(wanted)) ||
+      Array.from(el.options).find(
+        (opt) => opt.text.trim().toLowerCase() === needle
+      ) ||
+      Array.from(el.options).find((opt) =>
+        opt.text.trim().toLowerCase().includes(needle)
+      );
+    if (!option) return null;
+    setNativeValue(el, option.value);
+    option.selected = true;
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+    return option;
+  }
+
+  function getCheckedState(el) {
+    if (el.tagName === "INPUT") return el.checked;
+    return el.getAttribute("aria-checked") === "true";
+  }
+
+  function dragAndDrop(source, target) {
+    const dataTransfer = new DataTransfer();
+    const dragEvent = (el, type) =>
+      el.dispatchEvent(
+        new DragEvent(type, {
+          bubbles: true,
+          cancelable: true,
+          composed: true,
+          dataTransfer,
+          ...getElementCenter(el),
+        })
+      );
+    dispatchMouse(source, "pointerdown", { buttons: 1 });
+    dispatchMouse(source, "mousedown", { buttons: 1 });
+    dragEvent(source, "dragstart");
+    dragEvent(source, "drag");
+    dispatchMouse(target, "pointermove", { buttons: 1 });
+    dispatchMouse(target, "mousemove", { buttons: 1 });
+    dragEvent(target, "dragenter");
+    dragEvent(target, "dragover");
+    dragEvent(target, "drop");
+    dragEvent(source, "dragend");
+    dispatchMouse(target, "pointerup");
+    dispatchMouse(target, "mouseup");
+  }
+
+  function resolveCommandTarget(index, selector) {
+    const hasIndex = index !== undefined && index !== null;
+    if (hasIndex) return getMappedElement(index);
+    return selector ? document.querySelector(selector) : null;
+  }
+
+  // Runs one action on a resolved element. Returns a structured result:
+  // { status: "ok" | "error", message, data }.
+  function performElementAction(element, command, target) {
+    const { action, value } = command;
+    // The resolved selector lets callers replay the step without an index
+    const ok = (message, data = {}) => ({
+      status: "ok",
+      message,
+      data: { target, selector: buildStableSelector(element), ...data },
+    });
+    const fail = (message) => ({ status: "error", message, data: { target } });
+
+    switch (action) {
+      case "click":
+        element.click();
+        return ok(`Successfully clicked element ${target}`);
+
+      case "double_click":
+        clickSequence(element, 2);
+        dispatchMouse(element, "dblclick", { detail: 2 });
+        return ok(`Successfully double-clicked ${target}`);
+
+      case "right_click":
+        clickSequence(element, 1, 2);
+        dispatchMouse(element, "contextmenu", { button: 2, buttons: 2 });
+        return ok(`Successfully right-clicked ${target}`);
+
+      case "hover":
+        hoverElement(element);
+        return ok(`Hovering over ${target}`);
+
+      case "type": {
+        if (value === undefined || value === null) {
+          return fail(`Type action missing value parameter for ${target}`);
+        }
+        if (!isTextEntry(element)) {
+          return fail(`Element ${target} does not accept text input`);
+        }
+        element.focus();
+        const finalValue = typeText(element, value);
+        // The message goes into the prompt and the saved history, so secret
+        // steps and sensitive fields only report the length
+        if (command.secret || isSensitiveField(element)) {
+          return ok(
+            `Typed ${[...String(value)].length} characters into ${target}`,
+            { value: "••••" }
+          );
+        }
+        return ok(
+          `Successfully typed "${String(value).substring(
+            0,
+            20
+          )}..." into: ${target}`,
+          { value: finalValue }
+        );
+      }
+
+      case "clear":
+        if (!isTextEntry(element)) {
+          return fail(`Element ${target} is not a text field`);
+        }
+        clearField(element);
+        element.dispatchEvent(new Event("change", { bubbles: true }));
+        return ok(`Cleared ${target}`, { value: "" });
+
+      case "press_key":
         if (!value) {
-          responseMessage = `Navigate action missing value parameter for URL.`;
-        } else {
-          window.location.href = value;
-          status = "ok";
-          responseMessage = `Successfully navigated to ${value}`;
+          return fail(
+            `press_key action missing the key in value, e.g. "Enter"`
+          );
         }
-      } else if (action === "scroll") {
-        window.scrollTo({
-          top: value || 500, // Scroll to a position or default to 500px down
-          behavior: "smooth",
+        element.focus();
+        pressKey(element, value);
+        return ok(`Pressed ${value} on ${target}`, { key: value });
+
+      case "select_option": {
+        if (value === undefined || value === null) {
+          return fail(`select_option action missing value for ${target}`);
+        }
+        const option = selectOption(element, value);
+        if (!option) {
+          return fail(
+            element.tagName === "SELECT"
+              ? `No option matching "${value}" in ${target}`
+              : `Element ${target} is not a <select>`
+          );
+        }
+        return ok(`Selected "${option.text.trim()}" in ${target}`, {
+          value: option.value,
+          text: option.text.trim(),
         });
-        status = "ok";
-        responseMessage = `Successfully scrolled window to position: ${
-          value || 500
-        }`;
-        // Fall through to sendResponse at the end
-      } else {
-        // Actions that require a selector.
-        const element = document.querySelector(selector);
-        if (!element) {
-          responseMessage = `Element not found for selector: ${selector}`;
-        } else {
-          switch (action) {
-            case "click":
-              element.click();
-              status = "ok";
-              responseMessage = `Successfully clicked element using selector: ${selector}`;
-              break;
-
-            case "type":
-              if (value === undefined || value === null) {
-                responseMessage = `Type action missing value parameter for selector: ${selector}`;
-                break;
-              }
-              // Set the value and dispatch events to ensure web apps recognize the change
-              element.value = value;
-              element.dispatchEvent(new Event("input", { bubbles: true }));
-              element.dispatchEvent(new Event("change", { bubbles: true }));
-              status = "ok";
-              responseMessage = `Successfully typed "${value.substring(
-                0,
-                20
-              )}..." into: ${selector}`;
-              break;
-
-            case "scroll_to_element":
-              element.scrollIntoView({ behavior: "smooth", block: "center" });
-              status = "ok";
-              responseMessage = `Successfully scrolled element into view: ${selector}`;
-              break;
-
-            case "get_text":
-              status = "ok";
-              // Return the element's text content as the message
-              responseMessage = element.innerText || element.textContent;
-              break;
-
-            case "get_value":
-              status = "ok";
-              // Return the element's value property
-              responseMessage = element.value;
-              break;
-
-            case "submit":
-              if (element.form) {
-                element.form.submit();
-                status = "ok";
-                responseMessage = `Successfully submitted form containing element: ${selector}`;
-              } else {
-                responseMessage = `Element is not in a form to submit: ${selector}`;
-              }
-              break;
-
-            default:
-              responseMessage = `Unknown automation action: ${action}`;
-          }
+      }
+
+      case "check":
+      case "uncheck": {
+        const wanted = action === "check";
+        if (getCheckedState(element) !== wanted) {
+          element.click();
         }
+        const checked = getCheckedState(element);
+        return checked === wanted
+          ? ok(`${wanted ? "Checked" : "Unchecked"} ${target}`, { checked })
+          : fail(
+              `Could not ${action} ${target}; it is still ${
+                checked ? "checked" : "unchecked"
+              }`
+            );
       }
-    } catch (e) {
-      responseMessage = `Execution error for action '${action}': ${e.message}`;
-      console.error(responseMessage, e);
+
+      case "drag_and_drop": {
+        const dropTarget = resolveCommandTarget(
+          command.target_index,
+          command.target_selector
+        );
+        if (!dropTarget) {
+          return fail(
+            "drag_and_drop needs a drop target: target_index or target_selector"
+          );
+        }
+        dragAndDrop(element, dropTarget);
+        return ok(`Dragged ${target} onto the drop target`, {
+          dropSelector: buildStableSelector(dropTarget),
+        });
+      }
+
+      case "scroll_to_element":
+        element.scrollIntoView({ behavior: "smooth", block: "center" });
+        return ok(`Successfully scrolled element into view: ${target}`);
+
+      case "get_text": {
+        // Return the element's text content as the message
+        const text = element.innerText || element.textContent;
+        return ok(text, { text });
+      }
+
+      case "get_value":
+        // Return the element's value property
+        return ok(element.value, { value: element.value });
+
+      case "submit":
+        if (element.form) {
+          element.form.submit();
+          return ok(
+            `Successfully submitted form containing element: ${target}`
+          );
+        }
+        return fail(`Element is not in a form to submit: ${target}`);
+
+      default:
+        return fail(`Unknown automation action: ${action}`);
     }
+  }
 
-    // Send the result of the action execution back to the background script
-    sendResponse({
-      status: status,
-      message: responseMessage,
+  // --- Action verification ---
+  // A synthetic click reports success even when the page ignores it. Clicks are
+  // therefore checked against a snapshot taken before them (URL, focus, DOM
+  // mutations, the element's value, scroll position); background.js also counts
+  // network requests the click started as an effect. An element that is out of
+  // view or covered is scrolled into view before it is clicked. A click is
+  // never repeated here: without any effect it fails with data.noEffect, naming
+  // the nearest clickable ancestor for the panel to try as an action of its own
+  // (so it goes through approval like any other).
+  const VERIFIED_ACTIONS = ["click", "double_click"];
+  const VERIFY_TIMEOUT_MS = 1000;
+  const FLASH_ID = "__ollama-assistant-flash";
+
+  function captureActionSnapshot(el) {
+    return {
+      url: location.href,
+      focused: document.activeElement,
+      mutations: mutationCount,
+      value: JSON.stringify(describeElementValue(el)),
+      scrollY: window.scrollY,
+    };
+  }
+
+  function describeActionEffects(el, before) {
+    const after = captureActionSnapshot(el);
+    const effects = [];
+    if (after.url !== before.url) effects.push(`URL changed to ${after.url}`);
+    if (after.focused !== before.focused && after.focused) {
+      effects.push(`focus moved to <${after.focused.tagName.toLowerCase()}>`);
+    }
+    if (after.mutations > before.mutations) {
+      effects.push(`${after.mutations - before.mutations} DOM change(s)`);
+    }
+    if (after.value !== before.value) effects.push("element value changed");
+    if (after.scrollY !== before.scrollY) effects.push("page scrolled");
+    return effects;
+  }
+
+  // Links to other windows, downloads and form submits may have done their work
+  // without changing this page, so a click on them that shows no effect is not
+  // retried on an ancestor either.
+  function mayActElsewhere(el) {
+    const link = el.closest("a[href]");
+    if (
+      link &&
+      (link.hasAttribute("download") || !["", "_self"].includes(link.target))
+    ) {
+      return true;
+    }
+    const submit = el.closest("button, input[type=submit], input[type=image]");
+    return !!submit?.form && ["submit", "image"].includes(submit.type);
+  }
+
+  // Whether the element's center is inside the viewport and not covered
+  function isInView(el) {
+    const rect = el.getBoundingClientRect();
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+    if (x < 0 || y < 0 || x > window.innerWidth || y > window.innerHeight) {
+      return false;
+    }
+    const hit = document.elementFromPoint(x, y);
+    return !hit || el === hit || el.contains(hit);
+  }
+
+  // Resolves with the effects seen within VERIFY_TIMEOUT_MS; empty when none.
+  // A page that starts unloading counts as an effect.
+  function waitForActionEffects(el, before) {
+    const start = Date.now();
+    return new Promise((resolve) => {
+      const onUnload = () => finish(["page is navigating away"]);
+      const finish = (effects) => {
+        window.removeEventListener("beforeunload", onUnload);
+        resolve(effects);
+      };
+      window.addEventListener("beforeunload", onUnload);
+      const check = () => {
+        const effects = describeActionEffects(el, before);
+        if (effects.length > 0 || Date.now() - start >= VERIFY_TIMEOUT_MS) {
+          finish(effects);
+        } else {
+          setTimeout(check, SETTLE_POLL_MS);
+        }
+      };
+      setTimeout(check, SETTLE_POLL_MS);
     });
-    return true; // Keep channel open for async response
   }
-});
+
+  function nextFrame() {
+    return new Promise((resolve) =>
+      requestAnimationFrame(() => requestAnimationFrame(resolve))
+    );
+  }
+
+  // Runs performElementAction once and, for VERIFIED_ACTIONS, checks that it
+  // changed something. Fails with data.noEffect (and data.ancestorSelector when
+  // an ancestor is worth trying) when it did not.
+  async function performVerifiedAction(element, command, target) {
+    if (!VERIFIED_ACTIONS.includes(command.action)) {
+      return performElementAction(element, command, target);
+    }
+    if (!isInView(element)) {
+      element.scrollIntoView({ block: "center", inline: "center" });
+      await nextFrame();
+    }
+    const before = captureActionSnapshot(element);
+    const result = performElementAction(element, command, target);
+    if (result.status !== "ok") return result;
+    const effects = await waitForActionEffects(element, before);
+    if (effects.length > 0) {
+      return {
+        ...result,
+        message: `${result.message} (${effects.join(", ")})`,
+        data: { ...result.data, effects },
+      };
+    }
+    const ancestor = mayActElsewhere(element)
+      ? null
+      : element.parentElement?.closest(INTERACTIVE_SELECTOR);
+    return {
+      status: "error",
+      message: `${command.action} had no visible effect on ${target}`,
+      data: {
+        target,
+        selector: buildStableSelector(element),
+        noEffect: true,
+        ...(ancestor
+          ? { ancestorSelector: buildStableSelector(ancestor) }
+          : {}),
+      },
+    };
+  }
+
+  // Briefly outlines the element a coordinate action hit. Drawn as an overlay,
+  // so it does not count as a change of the page.
+  function flashElement(el) {
+    document.getElementById(FLASH_ID)?.remove();
+    const rect = el.getBoundingClientRect();
+    const flash = document.createElement("div");
+    flash.id = FLASH_ID;
+    Object.assign(flash.style, {
+      position: "fixed",
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      border: "3px solid red",
+      boxSizing: "border-box",
+      pointerEvents: "none",
+      zIndex: "2147483647",
+    });
+    document.documentElement.appendChild(flash);
+    setTimeout(() => flash.remove(), 1000);
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // --- HANDLE VISUAL CLICK ---
+    if (message.type === "EXECUTE_COORDINATE_ACTION") {
+      // 1. Translate relative (0.5, 0.5) to pixels (960px, 540px)
+      const screenX = Math.floor(message.x * window.innerWidth);
+      const screenY = Math.floor(message.y * window.innerHeight);
+
+      console.log(`[AI Robot] Clicking at ${screenX}, ${screenY}`);
+
+      // 2. Identify the element at that specific point
+      const target = document.elementFromPoint(screenX, screenY);
+
+      if (target) {
+        // 3. Highlight it briefly for debugging (Optional)
+        flashElement(target);
+
+        // 4. Perform Action, through the same handler as selector and index
+        // targets
+        performVerifiedAction(target, message, `<${target.tagName}>`).then(
+          sendResponse
+        );
+      } else {
+        sendResponse({
+          status: "error",
+          message: "No element found at coordinates",
+        });
+      }
+      return true; // Keep channel open
+    }
+
+    // mode: "full" (default), "main" (main content only) or "selection"
+    if (message && message.type === "GET_PAGE_CONTEXT") {
+      const title = document.title;
+      const url = window.location.href;
+      const mode = message.mode || "full";
+      const text = getPageText(mode);
+      sendResponse({ status: "ok", title, url, mode, text });
+      return true; // Keep channel open for async response
+    }
+
+    // "Index This Page" in the panel; indexes even with automatic indexing off
+    if (message && message.type === "INDEX_CURRENT_PAGE") {
+      indexCurrentPage(true, sendResponse);
+      return true;
+    }
+
+    if (message && message.type === "WAIT_FOR_SETTLE") {
+      waitForPageSettle(message.quietMs, message.timeoutMs).then((result) =>
+        sendResponse({ status: "ok", ...result })
+      );
+      return true;
+    }
+
+    // background.js checks the script is attached before using a tab
+    if (message && message.type === "PING") {
+      sendResponse({ status: "ok" });
+      return true;
+    }
+
+    if (message && message.type === "GET_ELEMENT_MAP") {
+      try {
+        sendResponse({ status: "ok", map: buildElementMap(message.options) });
+      } catch (e) {
+        sendResponse({
+          status: "error",
+          message: `Failed to build element map: ${e.message}`,
+        });
+      }
+      return true;
+    }
+
+    if (message && message.type === "SHOW_MARKS") {
+      try {
+        const map = showMarks(message.options);
+        // Reply once the overlay has been painted, so the screenshot shows it
+        requestAnimationFrame(() =>
+          requestAnimationFrame(() => sendResponse({ status: "ok", map }))
+        );
+      } catch (e) {
+        hideMarks();
+        sendResponse({
+          status: "error",
+          message: `Failed to draw marks: ${e.message}`,
+        });
+      }
+      return true;
+    }
+
+    if (message && message.type === "HIDE_MARKS") {
+      hideMarks();
+      sendResponse({ status: "ok" });
+      return true;
+    }
+
+    if (message && message.type === "DESCRIBE_ACTION_TARGET") {
+      try {
+        sendResponse({
+          status: "ok",
+          origin: location.origin,
+          target: describeActionTarget(
+            resolveActionPayloadTarget(message.action)
+          ),
+        });
+      } catch (e) {
+        sendResponse({ status: "error", message: e.message });
+      }
+      return true;
+    }
+
+    if (message && message.type === "SHOW_ACTION_PREVIEW") {
+      const box = showActionPreview(message.action, message.label);
+      // Respond once the outline is painted, so a screenshot taken next shows
+      // it
+      requestAnimationFrame(() =>
+        requestAnimationFrame(() => sendResponse({ status: "ok", box }))
+      );
+      return true;
+    }
+
+    if (message && message.type === "HIDE_ACTION_PREVIEW") {
+      hideActionPreview();
+      sendResponse({ status: "ok" });
+      return true;
+    }
+
+    if (message && message.type === "START_ELEMENT_PICKER") {
+      startElementPicker();
+      sendResponse({ status: "ok" });
+      return true;
+    }
+
+    if (message && message.type === "STOP_ELEMENT_PICKER") {
+      stopElementPicker();
+      sendResponse({ status: "ok" });
+      return true;
+    }
+
+    // source: "picked" (last picked element) or "inspected" (marked $0)
+    if (message && message.type === "GET_ELEMENT_DETAILS") {
+      const element = getFocusedElement(message.source);
+      if (!element) {
+        sendResponse({ status: "error", message: "No element is selected." });
+        return true;
+      }
+      element.scrollIntoView({ block: "nearest", inline: "nearest" });
+      // Measure after the scroll has been painted, for the screenshot crop
+      requestAnimationFrame(() =>
+        requestAnimationFrame(() =>
+          sendResponse({
+            status: "ok",
+            title: document.title,
+            url: location.href,
+            element: describeFocusedElement(element),
+          })
+        )
+      );
+      return true;
+    }
+
+    // --- AUTOMATION ACTION HANDLER ---
+    else if (message && message.type === "AUTOMATE_ACTION") {
+      const { action, selector, value, index } = message.command;
+      let status = "error";
+      let responseMessage = `Action '${action}' failed.`;
+      let data = {};
+
+      try {
+        // Some actions don't need a selector, handle them first.
+        if (action === "wait") {
+          const waitTime = parseInt(value, 10) || 1000;
+          setTimeout(() => {
+            sendResponse({
+              status: "ok",
+              action,
+              message: `Successfully waited for ${waitTime}ms`,
+              data: { waited: waitTime },
+            });
+          }, waitTime);
+          return true; // Return true for async response
+        } else if (action === "wait_for") {
+          waitForCondition(message.command).then((result) =>
+            sendResponse({ action, ...result })
+          );
+          return true;
+        } else if (action === "done") {
+          status = "ok";
+          responseMessage = "Task marked as complete.";
+        } else if (action === "answer") {
+          status = "ok";
+          responseMessage = `AI answered: ${value}`;
+        } else if (action === "navigate") {
+          if (!value) {
+            responseMessage = `Navigate action missing value parameter for URL.`;
+          } else {
+            window.location.href = value;
+            status = "ok";
+            responseMessage = `Successfully navigated to ${value}`;
+            data = { url: value };
+          }
+        } else if (action === "scroll") {
+          window.scrollTo({
+            top: value || 500, // Scroll to a position or default to 500px down
+            behavior: "smooth",
+          });
+          status = "ok";
+          responseMessage = `Successfully scrolled window to position: ${
+            value || 500
+          }`;
+          data = { top: value || 500 };
+          // Fall through to sendResponse at the end
+        } else if (
+          action === "press_key" &&
+          (index === undefined || index === null) &&
+          !selector
+        ) {
+          // Keyboard input without a target goes to the focused element
+          const focused = document.activeElement || document.body;
+          ({
+            status,
+            message: responseMessage,
+            data,
+          } = performElementAction(
+            focused,
+            message.command,
+            `the focused <${focused.tagName.toLowerCase()}>`
+          ));
+        } else {
+          // Actions that require a target: an element map index or a selector.
+          const hasIndex = index !== undefined && index !== null;
+          const element = resolveCommandTarget(index, selector);
+          if (!element) {
+            responseMessage = hasIndex
+              ? `No element with index ${index} in the current element map. Request a fresh map.`
+              : `Element not found for selector: ${selector}`;
+          } else {
+            const target = hasIndex ? `element [${index}]` : selector;
+            if (VERIFIED_ACTIONS.includes(action)) {
+              performVerifiedAction(element, message.command, target).then(
+                (result) => sendResponse({ action, ...result })
+              );
+              return true;
+            }
+            ({
+              status,
+              message: responseMessage,
+              data,
+            } = performElementAction(element, message.command, target));
+          }
+        }
+      } catch (e) {
+        responseMessage = `Execution error for action '${action}': ${e.message}`;
+        console.error(responseMessage, e);
+      }
+
+      // Send the result of the action execution back to the background script
+      sendResponse({
+        status: status,
+        action,
+        message: responseMessage,
+        data,
+      });
+      return true; // Keep channel open for async response
+    }
+  });
+})();
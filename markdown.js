@@ -0,0 +1,476 @@
+// markdown.js - Minimal Markdown renderer for the DevTools panel
+//
+// Builds DOM nodes directly (never innerHTML), so model output cannot inject
+// markup or scripts into the panel. Supports headings, paragraphs, emphasis,
+// inline code, links, lists, blockquotes, tables, rules and fenced code blocks
+// with basic syntax highlighting and a copy button.
+
+// --- Syntax highlighting ---
+const HIGHLIGHT_KEYWORDS = {
+  js: "async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield",
+  python:
+    "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield",
+  bash: "case do done echo elif else esac exit export fi for function if in local read return then until while",
+  css: "important inherit initial none auto",
+  sql: "select from where and or not insert into values update set delete create table drop alter join left right inner outer on group by order limit as null is in like distinct having union",
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: "js",
+  jsx: "js",
+  ts: "js",
+  typescript: "js",
+  tsx: "js",
+  json: "js",
+  py: "python",
+  sh: "bash",
+  shell: "bash",
+  zsh: "bash",
+  scss: "css",
+};
+
+function getHighlightRules(language) {
+  const lang = LANGUAGE_ALIASES[language] || language;
+  const hashComments = lang === "python" || lang === "bash";
+  const comment = hashComments
+    ? "#[^\\n]*"
+    : lang === "sql"
+    ? "--[^\\n]*"
+    : "\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/";
+  const keywords = HIGHLIGHT_KEYWORDS[lang];
+  return {
+    regex: new RegExp(
+      [
+        `(${comment})`,
+        "(\"(?:\\\\.|[^\"\\\\\\n])*\"|'(?:\\\\.|[^'\\\\\\n])*'|`(?:\\\\.|[^`\\\\])*`)",
+        "(\\b\\d+(?:\\.\\d+)?\\b)",
+        keywords ? `\\b(${keywords.split(" ").join("|")})\\b` : "($^)",
+      ].join("|"),
+      lang === "sql" ? "gi" : "g"
+    ),
+    known: !!keywords,
+  };
+}
+
+// Appends `code` to `target` with comment/string/number/keyword spans.
+function highlightCode(code, language, target) {
+  const { regex, known } = getHighlightRules(language);
+  if (!known && !language) {
+    target.textContent = code;
+    return;
+  }
+  const classes = ["tok-comment", "tok-string", "tok-number", "tok-keyword"];
+  let last = 0;
+  let match;
+  while ((match = regex.exec(code)) !== null) {
+    if (match[0] === "") {
+      regex.lastIndex++;
+      continue;
+    }
+    if (match.index > last) {
+      target.appendChild(
+        document.createTextNode(code.slice(last, match.index))
+      );
+    }
+    const group = match.slice(1).findIndex((g) => g !== undefined);
+    const span = document.createElement("span");
+    span.className = classes[group];
+    span.textContent = match[0];
+    target.appendChild(span);
+    last = match.index + match[0].length;
+  }
+  if (last < code.length) {
+    target.appendChild(document.createTextNode(code.slice(last)));
+  }
+}
+
+function copyToClipboard(text, callback) {
+  const fallback = () => {
+    // DevTools panels often lack clipboard permission; use a hidden textarea
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    const ok = document.execCommand("copy");
+    textarea.remove();
+    callback(ok);
+  };
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(text).then(() => callback(true), fallback);
+  } else {
+    fallback();
+  }
+}
+
+function renderCodeBlock(code, language) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "md-code";
+
+  const header = document.createElement("div");
+  header.className = "md-code-header";
+  const label = document.createElement("span");
+  label.textContent = language || "text";
+  const copyBtn = document.createElement("button");
+  copyBtn.className = "md-copy";
+  copyBtn.textContent = "Copy";
+  copyBtn.addEventListener("click", () => {
+    copyToClipboard(code, (ok) => {
+      copyBtn.textContent = ok ? "Copied" : "Copy failed";
+      setTimeout(() => (copyBtn.textContent = "Copy"), 1500);
+    });
+  });
+  header.appendChild(label);
+  header.appendChild(copyBtn);
+
+  const pre = document.createElement("pre");
+  const codeEl = document.createElement("code");
+  highlightCode(code, language.toLowerCase(), codeEl);
+  pre.appendChild(codeEl);
+
+  wrapper.appendChild(header);
+  wrapper.appendChild(pre);
+  return wrapper;
+}
+
+// --- Inline formatting ---
+const INLINE_PATTERN =
+  /(`+)([\s\S]*?[^`])\1(?!`)|\*\*([\s\S]+?)\*\*|__([\s\S]+?)__|~~([\s\S]+?)~~|\*([^*\s][^*]*?)\*|\b_([^_\s][^_]*?)_\b|\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)|(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])/g;
+
+function isSafeUrl(url) {
+  return /^(https?:|mailto:)/i.test(url);
+}
+
+function renderInline(text, target) {
+  let last = 0;
+  let match;
+  // Fresh regex per call: renderInline recurses into nested emphasis
+  const pattern = new RegExp(INLINE_PATTERN.source, "g");
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) {
+      target.appendChild(
+        document.createTextNode(text.slice(last, match.index))
+      );
+    }
+    const [
+      whole,
+      ,
+      code,
+      bold,
+      boldAlt,
+      strike,
+      italic,
+      italicAlt,
+      linkText,
+      linkUrl,
+      bareUrl,
+    ] = match;
+    let node;
+    if (code !== undefined) {
+      node = document.createElement("code");
+      node.textContent = code.trim();
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      node = document.createElement("strong");
+      renderInline(bold ?? boldAlt, node);
+    } else if (strike !== undefined) {
+      node = document.createElement("del");
+      renderInline(strike, node);
+    } else if (italic !== undefined || italicAlt !== undefined) {
+      node = document.createElement("em");
+      renderInline(italic ?? italicAlt, node);
+    } else if (linkText !== undefined || bareUrl !== undefined) {
+      const url = linkUrl ?? bareUrl;
+      if (isSafeUrl(url)) {
+        node = document.createElement("a");
+        node.href = url;
+        node.target = "_blank";
+        node.rel = "noopener noreferrer";
+        renderInline(linkText ?? url, node);
+      } else {
+        node = document.createTextNode(whole);
+      }
+    }
+    target.appendChild(node);
+    last = match.index + whole.length;
+  }
+  if (last < text.length) {
+    target.appendChild(document.createTextNode(text.slice(last)));
+  }
+}
+
+// --- Block parsing ---
+const FENCE_PATTERN = /^\s*(```+|~~~+)\s*([\w+#.-]*)/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line);
+}
+
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split("|")
+    .map((cell) => cell.trim());
+}
+
+function renderTable(header, rows) {
+  const table = document.createElement("table");
+  const thead = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  header.forEach((cell) => {
+    const th = document.createElement("th");
+    renderInline(cell, th);
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  const tbody = document.createElement("tbody");
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    header.forEach((_, i) => {
+      const td = document.createElement("td");
+      renderInline(row[i] || "", td);
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  return table;
+}
+
+function renderList(items) {
+  const ordered = /\d/.test(items[0].marker);
+  const list = document.createElement(ordered ? "ol" : "ul");
+  if (ordered) {
+    const start = parseInt(items[0].marker, 10);
+    if (start !== 1) list.start = start;
+  }
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+    if (task) {
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = task[1] !== " ";
+      checkbox.disabled = true;
+      li.appendChild(checkbox);
+      renderInline(task[2], li);
+    } else {
+      renderInline(item.text, li);
+    }
+    if (item.children.length > 0) {
+      li.appendChild(renderList(item.children));
+    }
+    list.appendChild(li);
+  });
+  return list;
+}
+
+// Renders a Markdown string into a DocumentFragment. An unterminated code
+// fence (common while a reply is still streaming) renders as an open block.
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code block
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const closing = new RegExp(
+        `^\\s*${fence[1][0]}{${fence[1].length},}\\s*$`
+      );
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip the closing fence
+      fragment.appendChild(renderCodeBlock(code.join("\n"), fence[2] || ""));
+      continue;
+    }
+
+    // Blank line
+    if (line.trim() === "") {
+      i++;
+      continue;
+    }
+
+    // Heading
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const el = document.createElement(`h${heading[1].length}`);
+      renderInline(heading[2], el);
+      fragment.appendChild(el);
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      fragment.appendChild(document.createElement("hr"));
+      i++;
+      continue;
+    }
+
+    // Table: header row followed by a separator row
+    if (
+      line.includes("|") &&
+      i + 1 < lines.length &&
+      isTableSeparator(lines[i + 1])
+    ) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      fragment.appendChild(renderTable(header, rows));
+      continue;
+    }
+
+    // Blockquote
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ""));
+        i++;
+      }
+      const quote = document.createElement("blockquote");
+      quote.appendChild(renderMarkdown(quoted.join("\n")));
+      fragment.appendChild(quote);
+      continue;
+    }
+
+    // List (one level of nesting by indentation)
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const items = [];
+      const baseIndent = line.match(LIST_ITEM_PATTERN)[1].length;
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_ITEM_PATTERN);
+        const switchesType =
+          item &&
+          item[1].length <= baseIndent &&
+          /\d/.test(item[2]) !== /\d/.test(items[0]?.marker ?? item[2]);
+        if (switchesType) break; // Bullet and numbered lists stay separate
+        if (item) {
+          const entry = { marker: item[2], text: item[3], children: [] };
+          if (item[1].length > baseIndent && items.length > 0) {
+            items[items.length - 1].children.push(entry);
+          } else {
+            items.push(entry);
+          }
+          i++;
+        } else if (
+          lines[i].trim() !== "" &&
+          /^\s+/.test(lines[i]) &&
+          items.length > 0
+        ) {
+          // Continuation line of the previous item
+          const lastItem = items[items.length - 1];
+          const target = lastItem.children.length
+            ? lastItem.children[lastItem.children.length - 1]
+            : lastItem;
+          target.text += " " + lines[i].trim();
+          i++;
+        } else {
+          break;
+        }
+      }
+      fragment.appendChild(renderList(items));
+      continue;
+    }
+
+    // Paragraph: gather lines until a blank line or another block starts
+    const paragraph = [line.trim()];
+    i++;
+    while (
+      i < lines.length &&
+      lines[i].trim() !== "" &&
+      !FENCE_PATTERN.test(lines[i]) &&
+      !/^\s*(#{1,6}\s|>)/.test(lines[i]) &&
+      !LIST_ITEM_PATTERN.test(lines[i])
+    ) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    const p = document.createElement("p");
+    paragraph.forEach((part, index) => {
+      if (index > 0) p.appendChild(document.createElement("br"));
+      renderInline(part, p);
+    });
+    fragment.appendChild(p);
+  }
+
+  return fragment;
+}
+
+// --- Incremental rendering for streamed replies ---
+// Text up to the last blank line outside a code fence is final: it is rendered
+// once and kept. Only the trailing, still-growing block is re-rendered, at most
+// once per animation frame.
+function findStableBoundary(text, from) {
+  let boundary = from;
+  let inFence = false;
+  let index = from;
+  while (index < text.length) {
+    const end = text.indexOf("\n", index);
+    if (end === -1) break; // Last line may still be incomplete
+    const line = text.slice(index, end);
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence && line.trim() === "") {
+      boundary = end + 1;
+    }
+    index = end + 1;
+  }
+  return boundary;
+}
+
+function createMarkdownStream(container) {
+  const committedEl = document.createElement("div");
+  const tailEl = document.createElement("div");
+  container.appendChild(committedEl);
+  container.appendChild(tailEl);
+
+  let text = "";
+  let committed = 0;
+  let frame = null;
+
+  const render = () => {
+    frame = null;
+    const boundary = findStableBoundary(text, committed);
+    if (boundary > committed) {
+      committedEl.appendChild(renderMarkdown(text.slice(committed, boundary)));
+      committed = boundary;
+    }
+    tailEl.replaceChildren(renderMarkdown(text.slice(committed)));
+  };
+
+  return {
+    append(chunk) {
+      text += chunk;
+      if (frame === null) {
+        frame = requestAnimationFrame(render);
+      }
+    },
+    finish() {
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+      }
+      render();
+    },
+    getText() {
+      return text;
+    },
+  };
+}
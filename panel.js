@@ -1,18 +1,11 @@
 // panel.js - Logic for the DevTools panel
 
 // --- Helper functions for page context ---
-function getPageContextEval(callback) {
-  const code = `
-    (() => {
-      const title = document.title;
-      const url = window.location.href;
-      const text = document.body.innerText || document.body.textContent || '';
-      return { title, url, text };
-    })();
-  `;
+function getPageHTMLEval(callback) {
+  const code = `document.documentElement.outerHTML`;
   chrome.devtools.inspectedWindow.eval(code, (result, isException) => {
     if (isException) {
-      console.error("Error getting page context:", isException);
+      console.error("Error getting page HTML:", isException);
       callback(null);
     } else {
       callback(result);
@@ -20,45 +13,157 @@ function getPageContextEval(callback) {
   });
 }
 
-function getPageHTMLEval(callback) {
-  const code = `document.documentElement.outerHTML`;
-  chrome.devtools.inspectedWindow.eval(code, (result, isException) => {
-    if (isException) {
-      console.error("Error getting page HTML:", isException);
-      callback(null);
-    } else {
-      callback(result);
+// Asks content.js for the indexed map of visible interactive elements. Goes
+// through the background so a missing content script is re-injected first.
+// With `withMarks`, content.js also draws the numbered set-of-marks overlay;
+// remove it again with hideMarks().
+function getElementMap(options, callback, withMarks = false) {
+  if (!chrome.runtime?.id) return;
+  chrome.runtime.sendMessage(
+    {
+      type: "SEND_TO_TAB",
+      tabId: getTargetTabId(),
+      payload: { type: withMarks ? "SHOW_MARKS" : "GET_ELEMENT_MAP", options },
+    },
+    (resp) => {
+      if (!chrome.runtime?.id) return;
+      const pageResp = resp?.response;
+      if (resp?.status === "ok" && pageResp?.status === "ok") {
+        callback(pageResp.map);
+      } else {
+        callback(
+          null,
+          pageResp?.message || resp?.message || "No response from page"
+        );
+      }
     }
+  );
+}
+
+function hideMarks() {
+  if (!chrome.runtime?.id) return;
+  chrome.runtime.sendMessage({
+    type: "SEND_TO_TAB",
+    tabId: getTargetTabId(),
+    payload: { type: "HIDE_MARKS" },
   });
 }
 
-// These functions are no longer needed for the visual automation loop.
-// function getCleanedPageHTML(callback) { ... }
-// function getInteractiveMap(tabId, callback) { ... }
-// function getTargetedHTML(tabId, selector, callback) { ... }
+// Compact text form of the element map for prompts, one element per line:
+// [3] button "Sign in"
+function formatElementMap(map) {
+  return map.elements
+    .map((el) => {
+      const parts = [`[${el.index}] ${el.role}`];
+      if (el.name) parts.push(`"${el.name}"`);
+      if (el.label && el.label !== el.name) parts.push(`label="${el.label}"`);
+      if (el.value) parts.push(`value="${el.value}"`);
+      if (el.checked !== undefined) {
+        parts.push(el.checked ? "checked" : "unchecked");
+      }
+      if (el.context) parts.push(`(in ${el.context})`);
+      return parts.join(" ");
+    })
+    .join("\n");
+}
 
 // Get the tab ID for the inspected window once.
 const INSPECTED_TAB_ID = chrome.devtools.inspectedWindow.tabId;
 
 // --- UI Elements (will be assigned in DOMContentLoaded) ---
 let usePageBtn,
+  tabListEl,
+  refreshTabsBtn,
+  useTabsBtn,
+  searchPagesChk,
+  indexPagesChk,
+  embedModelSel,
+  indexThisPageBtn,
+  clearIndexBtn,
+  indexStatusEl,
+  pickElementBtn,
+  useInspectedBtn,
+  useSelectionBtn,
+  focusInfoEl,
+  focusLabelEl,
+  focusImageEl,
+  clearFocusBtn,
+  contextModeSel,
+  contextFitSel,
+  budgetMeterEl,
+  budgetTextEl,
   promptEl,
   askBtn,
   askWithScreenshotBtn,
   resultDiv,
   modelSel,
+  visionModelSel,
+  pullModelNameEl,
+  pullModelBtn,
+  pullProgressEl,
+  pullStatusEl,
+  showModelBtn,
+  deleteModelBtn,
+  modelDetailsEl,
+  refreshLoadedBtn,
+  loadedModelsEl,
+  presetPickerSel,
+  automationPresetSel,
+  presetNameEl,
+  savePresetBtn,
+  deletePresetBtn,
+  presetStatusEl,
+  optStopEl,
+  optKeepAliveEl,
   streamChk,
+  useToolsChk,
   refreshModelsBtn,
   debugToggleBtn,
   screenshotContainer,
   screenshotImage,
+  screenshotSelectionEl,
+  captureScreenshotBtn,
+  manualActionSel,
+  manualValueEl,
+  runManualActionBtn,
+  manualHintChk,
   apiKeyEl,
-  saveApiKeyBtn;
+  saveApiKeyBtn,
+  profileSel,
+  newProfileBtn,
+  deleteProfileBtn,
+  testConnectionBtn,
+  profileNameEl,
+  profileUrlEl,
+  profileModelEl,
+  maxStepsEl,
+  setOfMarksChk,
+  resetApprovalsBtn,
+  macroPickerSel,
+  runMacroBtn,
+  deleteMacroBtn,
+  sessionPickerSel,
+  resumeSessionBtn,
+  newSessionBtn;
 
 // --- State ---
 let conversationHistory = [];
+// Streamed replies arrive in chunks; the turn is committed to history once the
+// final chunk (done: true) comes in.
+let pendingStreamTurn = null;
+// Id of the ASK_OLLAMA / SEND_TO_TAB request currently in flight, so it can be
+// cancelled and its late response ignored.
+let activeRequestId = null;
 let isAutomationRunning = false;
 let originalUserPrompt = "";
+let profiles = [];
+let activeProfileId = null;
+let modelCapabilities = {}; // Model name -> capabilities from LIST_MODELS
+// Embedding model for the page index; null until the settings are loaded
+let preferredEmbedModel = null;
+let modelSizes = {}; // Model name -> size on disk in bytes
+let preferredVisionModel = ""; // Saved dedicated vision model, "" for auto
+let automationModel = null; // Vision model of the running automation
 
 // --- Function to load models ---
 function loadModels() {
@@ -80,15 +185,31 @@ function loadModels() {
         askBtn.disabled = true;
         askWithScreenshotBtn.disabled = true;
       } else {
+        modelCapabilities = {};
+        modelSizes = {};
         resp.models.models.forEach((model) => {
+          modelCapabilities[model.name] = model.capabilities;
+          modelSizes[model.name] = model.size;
           const option = document.createElement("option");
           option.value = model.name;
-          option.textContent = model.name;
+          option.textContent = formatModelLabel(model);
           modelSel.appendChild(option);
         });
+        // Preselect the profile's default model when it is installed
+        const defaultModel = getActiveProfile()?.defaultModel;
+        if (
+          defaultModel &&
+          resp.models.models.some((model) => model.name === defaultModel)
+        ) {
+          modelSel.value = defaultModel;
+        }
         askBtn.disabled = false;
         askWithScreenshotBtn.disabled = false;
       }
+      renderVisionModels();
+      renderEmbedModels();
+      renderPresets();
+      updateToolsOption();
     } else {
       console.log("Error response:", resp);
       const errorMessage =
@@ -103,407 +224,3402 @@ function loadModels() {
   });
 }
 
-// --- Debug helpers (omitted for brevity, assume they are present) ---
-let DEBUG = false;
+// --- Model capabilities ---
+// LIST_MODELS attaches each model's /api/show summary as `capabilities`
+// ({ vision, tools, embedding, contextLength, quantization, parameterSize }),
+// or null when the server could not describe it.
+function formatModelLabel(model) {
+  const info = model.capabilities;
+  if (!info) return `${model.name} (capabilities unknown)`;
+  const badges = [];
+  if (info.vision) badges.push("👁 vision");
+  if (info.tools) badges.push("🛠 tools");
+  if (info.embedding) badges.push("embedding");
+  if (info.contextLength) {
+    badges.push(`${Math.round(info.contextLength / 1024)}k ctx`);
+  }
+  if (info.quantization) badges.push(info.quantization);
+  return badges.length ? `${model.name} · ${badges.join(" · ")}` : model.name;
+}
 
-function logStatus(message, isError = false) {
-  const entry = document.createElement("div");
-  entry.textContent = message;
-  if (isError) {
-    entry.style.color = "red";
-    entry.style.fontWeight = "bold";
+function getVisionModels() {
+  return Object.keys(modelCapabilities).filter(
+    (name) => modelCapabilities[name]?.vision
+  );
+}
+
+// The dedicated vision model when one is set, else the chat model if it can
+// see, else the first vision-capable model. When no model's capabilities are
+// known (old server), the chat model is used as is. Null when none can see.
+function getVisionModel() {
+  const visionModels = getVisionModels();
+  if (visionModelSel.value && visionModels.includes(visionModelSel.value)) {
+    return visionModelSel.value;
   }
-  resultDiv.appendChild(entry);
-  resultDiv.scrollTop = resultDiv.scrollHeight;
+  if (visionModels.includes(modelSel.value)) return modelSel.value;
+  if (visionModels.length > 0) return visionModels[0];
+  const allUnknown = Object.values(modelCapabilities).every((info) => !info);
+  return allUnknown && modelSel.value ? modelSel.value : null;
 }
 
-function logToUI(message, ...args) {
-  if (DEBUG) {
-    const logEntry = document.createElement("div");
-    logEntry.className = "debug-log";
-    const content = args.length > 0 ? JSON.stringify(args, null, 2) : "";
-    logEntry.textContent = `[DEBUG] ${message} ${content}`;
-    resultDiv.appendChild(logEntry);
-    resultDiv.scrollTop = resultDiv.scrollHeight;
-    console.log(`[Ollama Assistant Panel] ${message}`, ...args);
+function renderVisionModels() {
+  visionModelSel.innerHTML = "";
+  const auto = document.createElement("option");
+  auto.value = "";
+  auto.textContent = "Vision: auto";
+  visionModelSel.appendChild(auto);
+  getVisionModels().forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = `Vision: ${name}`;
+    visionModelSel.appendChild(option);
+  });
+  if (getVisionModels().includes(preferredVisionModel)) {
+    visionModelSel.value = preferredVisionModel;
   }
 }
 
-function debugPing() {
-  if (DEBUG) {
-    logToUI("Sending ping to background script");
+// --- Model management ---
+let pullRequestId = null; // Pull in progress, so it can be cancelled
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1
+  );
+  return `${(bytes / 1024 ** i).toFixed(i > 1 ? 1 : 0)} ${units[i]}`;
+}
+
+function startPull() {
+  if (pullRequestId) {
+    // The button doubles as Cancel while a pull runs
+    chrome.runtime.sendMessage({
+      type: "CANCEL_REQUEST",
+      requestId: pullRequestId,
+      tabId: INSPECTED_TAB_ID,
+    });
+    return;
   }
-  if (!chrome.runtime?.id) return;
-  chrome.runtime.sendMessage({ type: "DEBUG_PING" }, (resp) => {
-    if (DEBUG) {
-      console.log(
-        "[Ollama Assistant Panel]",
-        "Background script ping response:",
-        resp
-      );
+  const model = pullModelNameEl.value.trim();
+  if (!model) {
+    pullStatusEl.textContent = "Enter a model name, e.g. llama3.2:3b";
+    return;
+  }
+  const requestId = createRequestId();
+  pullRequestId = requestId;
+  pullModelBtn.textContent = "Cancel";
+  pullProgressEl.style.display = "";
+  pullProgressEl.removeAttribute("value");
+  pullStatusEl.textContent = `Pulling ${model}...`;
+  // The reply only confirms the start; the outcome arrives as PULL_PROGRESS
+  chrome.runtime.sendMessage(
+    { type: "PULL_MODEL", model, requestId, tabId: INSPECTED_TAB_ID },
+    (resp) => {
+      if (!chrome.runtime?.id || requestId !== pullRequestId) return;
+      if (resp?.status !== "ok") {
+        finishPull(model, {
+          result: "error",
+          message:
+            resp?.message || chrome.runtime.lastError?.message || "No response",
+        });
+      }
     }
-  });
+  );
 }
 
-function setDebug(enabled) {
-  DEBUG = !!enabled;
-  // Use a try-catch block to prevent "context invalidated" errors if panel is closed
-  try {
-    if (!chrome.runtime?.id) return;
-    chrome.runtime.sendMessage(
-      { type: "SET_DEBUG", enabled: DEBUG },
-      (resp) => {
-        if (!chrome.runtime?.id) return;
-        if (chrome.runtime.lastError) {
-          console.error(chrome.runtime.lastError.message);
-        } else if (DEBUG) {
-          logToUI("SET_DEBUG response", resp);
-        }
-      }
-    );
-  } catch (e) {
-    console.error("Failed to send SET_DEBUG message:", e.message);
+function finishPull(model, outcome) {
+  pullRequestId = null;
+  pullModelBtn.textContent = "Pull";
+  pullProgressEl.style.display = "none";
+  if (outcome.result === "ok") {
+    pullStatusEl.textContent = `Pulled ${model}.`;
+    pullModelNameEl.value = "";
+    loadModels();
+  } else if (outcome.result === "cancelled") {
+    pullStatusEl.textContent = `Pull of ${model} cancelled.`;
+  } else {
+    pullStatusEl.textContent = `Pull failed: ${outcome.message}`;
   }
-  // Update button text immediately
-  debugToggleBtn.textContent = DEBUG ? "Debug ON" : "Debug OFF";
-  debugToggleBtn.style.backgroundColor = DEBUG ? "#4CAF50" : "";
-  debugToggleBtn.style.color = DEBUG ? "white" : "black";
 }
 
-// --- Helper to safely send messages to tab (with retry/injection) ---
-function sendMessageToTab(tabId, message, retries = 3) {
-  if (!chrome.runtime?.id) {
-    console.error(
-      "Extension context invalidated. Please close and reopen DevTools."
-    );
+function showPullProgress(msg) {
+  if (!pullRequestId) return;
+  if (msg.done) {
+    if (msg.requestId === pullRequestId) finishPull(msg.model, msg);
     return;
   }
+  if (msg.total > 0) {
+    pullProgressEl.max = msg.total;
+    pullProgressEl.value = msg.completed;
+    pullStatusEl.textContent = `${msg.model}: ${msg.status} ${formatBytes(
+      msg.completed
+    )} / ${formatBytes(msg.total)} (${Math.floor(
+      (msg.completed / msg.total) * 100
+    )}%)`;
+  } else {
+    // Steps without a size (manifest, verifying) show an indeterminate bar
+    pullProgressEl.removeAttribute("value");
+    pullStatusEl.textContent = `${msg.model}: ${msg.status}`;
+  }
+}
 
-  try {
-    chrome.tabs.sendMessage(tabId, message, (response) => {
-      if (!chrome.runtime?.id) return; // Context died during request
-
-      if (chrome.runtime.lastError) {
-        const err = chrome.runtime.lastError.message;
-        console.warn(`[Msg Fail] Attempt remaining ${retries}: ${err}`);
+function deleteSelectedModel() {
+  const model = modelSel.value;
+  if (!model || !confirm(`Delete ${model} from the Ollama server?`)) return;
+  chrome.runtime.sendMessage({ type: "DELETE_MODEL", model }, (resp) => {
+    if (!chrome.runtime?.id) return;
+    if (resp?.status === "ok") {
+      modelDetailsEl.textContent = `Deleted ${model}.`;
+      loadModels();
+    } else {
+      modelDetailsEl.textContent = `Delete failed: ${
+        resp?.message || "No response"
+      }`;
+    }
+  });
+}
 
-        if (retries > 0 && err.includes("Receiving end does not exist")) {
-          // Inject the content script again if it's missing
-          logStatus("Re-injecting content script...", true);
+function showSelectedModel() {
+  const model = modelSel.value;
+  if (!model) return;
+  modelDetailsEl.textContent = `Loading details of ${model}...`;
+  chrome.runtime.sendMessage({ type: "SHOW_MODEL", model }, (resp) => {
+    if (!chrome.runtime?.id) return;
+    if (resp?.status !== "ok") {
+      modelDetailsEl.textContent = `Could not load details: ${
+        resp?.message || "No response"
+      }`;
+      return;
+    }
+    const { info } = resp;
+    const size = modelSizes[model];
+    const capabilities = ["vision", "tools", "embedding"].filter(
+      (name) => info[name]
+    );
+    modelDetailsEl.textContent = [
+      model,
+      `Family: ${info.details.family || "?"}  Parameters: ${
+        info.parameterSize || "?"
+      }  Quantization: ${info.quantization || "?"}`,
+      `Size: ${size ? formatBytes(size) : "?"}  Context: ${
+        info.contextLength || "?"
+      }  Capabilities: ${capabilities.join(", ") || "completion"}`,
+      info.modifiedAt ? `Modified: ${info.modifiedAt}` : "",
+      "",
+      "Parameters:",
+      info.parameters || "(defaults)",
+      "",
+      "Template:",
+      info.template || "(none)",
+      info.system ? `\nSystem:\n${info.system}` : "",
+      "",
+      "License:",
+      info.license || "(none)",
+    ]
+      .filter((line, i, lines) => line !== "" || lines[i - 1] !== "")
+      .join("\n");
+  });
+}
 
-          if (chrome.tabs.executeScript) {
-            chrome.tabs.executeScript(tabId, { file: "content.js" }, () => {
-              if (!chrome.runtime?.id) return;
-              if (chrome.runtime.lastError) {
-                logStatus(
-                  "Injection failed: " + chrome.runtime.lastError.message,
-                  true
-                );
-              } else {
-                setTimeout(
-                  () => sendMessageToTab(tabId, message, retries - 1),
-                  500
-                );
-              }
-            });
-          } else {
-            logStatus(
-              "Cannot inject content script: API unavailable. Please reload page.",
-              true
-            );
+function loadRunningModels() {
+  chrome.runtime.sendMessage({ type: "LIST_RUNNING_MODELS" }, (resp) => {
+    if (!chrome.runtime?.id) return;
+    loadedModelsEl.innerHTML = "";
+    if (resp?.status !== "ok") {
+      loadedModelsEl.textContent = `Could not list loaded models: ${
+        resp?.message || "No response"
+      }`;
+      return;
+    }
+    if (resp.models.length === 0) {
+      loadedModelsEl.textContent = "No models loaded.";
+      return;
+    }
+    resp.models.forEach((model) => {
+      const row = document.createElement("div");
+      row.className = "row";
+      const label = document.createElement("span");
+      label.style.flexGrow = "1";
+      label.style.alignSelf = "center";
+      const vram =
+        model.size > 0 ? Math.round((model.sizeVram / model.size) * 100) : 0;
+      label.textContent = `${model.name} · ${formatBytes(
+        model.size
+      )} (${vram}% GPU) · until ${new Date(
+        model.expiresAt
+      ).toLocaleTimeString()}`;
+      const unloadBtn = document.createElement("button");
+      unloadBtn.textContent = "Unload";
+      unloadBtn.addEventListener("click", () => {
+        unloadBtn.disabled = true;
+        chrome.runtime.sendMessage(
+          { type: "UNLOAD_MODEL", model: model.name },
+          (unloadResp) => {
+            if (!chrome.runtime?.id) return;
+            if (unloadResp?.status !== "ok") {
+              unloadBtn.disabled = false;
+              label.textContent = `Unload failed: ${
+                unloadResp?.message || "No response"
+              }`;
+              return;
+            }
+            loadRunningModels();
           }
-        } else {
-          logStatus("Error executing action on page: " + err, true);
-        }
-      } else {
-        logStatus(`Action successful: ${response?.message || "OK"}`);
-        // Optional: Trigger next loop here if needed
+        );
+      });
+      row.appendChild(label);
+      row.appendChild(unloadBtn);
+      loadedModelsEl.appendChild(row);
+    });
+  });
+}
+
+// --- Generation options ---
+// Named presets of Ollama `options` plus `keep_alive`, saved per model in
+// chrome.storage.local as `generationPresets` ({ [model]: { [name]: preset } }).
+// The form's values go with every Ask; automation steps use the model's
+// automation preset, "Deterministic" unless another one was chosen
+// (`automationPresets`: { [model]: name }).
+const PRESETS_KEY = "generationPresets";
+const AUTOMATION_PRESETS_KEY = "automationPresets";
+const DETERMINISTIC_PRESET = "Deterministic";
+const BUILTIN_PRESETS = {
+  Default: { options: {}, keep_alive: "" },
+  [DETERMINISTIC_PRESET]: {
+    options: { temperature: 0, seed: 42 },
+    keep_alive: "",
+  },
+};
+// Form field id -> option name and how to parse the input
+const OPTION_FIELDS = [
+  ["optTemperature", "temperature", parseFloat],
+  ["optTopP", "top_p", parseFloat],
+  ["optTopK", "top_k", (v) => parseInt(v, 10)],
+  ["optNumCtx", "num_ctx", (v) => parseInt(v, 10)],
+  ["optNumPredict", "num_predict", (v) => parseInt(v, 10)],
+  ["optSeed", "seed", (v) => parseInt(v, 10)],
+  ["optRepeatPenalty", "repeat_penalty", parseFloat],
+];
+
+let savedPresets = {};
+let automationPresets = {};
+
+function getPresetsFor(model) {
+  return { ...BUILTIN_PRESETS, ...(savedPresets[model] || {}) };
+}
+
+function loadPresets(callback) {
+  chrome.storage.local.get([PRESETS_KEY, AUTOMATION_PRESETS_KEY], (data) => {
+    savedPresets = data[PRESETS_KEY] || {};
+    automationPresets = data[AUTOMATION_PRESETS_KEY] || {};
+    renderPresets();
+    if (callback) callback();
+  });
+}
+
+function savePresets(callback) {
+  chrome.storage.local.set(
+    {
+      [PRESETS_KEY]: savedPresets,
+      [AUTOMATION_PRESETS_KEY]: automationPresets,
+    },
+    () => {
+      if (chrome.runtime.lastError) {
+        presetStatusEl.textContent = `Error saving presets: ${chrome.runtime.lastError.message}`;
+        return;
       }
+      renderPresets();
+      if (callback) callback();
+    }
+  );
+}
+
+// Automation presets belong to the model vision runs use, which may differ
+// from the chat model.
+function getAutomationPresetModel() {
+  return (
+    (isAutomationRunning && automationModel) ||
+    getVisionModel() ||
+    modelSel.value
+  );
+}
+
+// Fills the preset picker for the selected model and the automation preset
+// picker for the automation model, and loads the chosen preset into the form.
+function renderPresets(selected = presetPickerSel.value) {
+  const presets = getPresetsFor(modelSel.value);
+  const automationModelName = getAutomationPresetModel();
+  const runPresets = getPresetsFor(automationModelName);
+  [
+    [presetPickerSel, presets],
+    [automationPresetSel, runPresets],
+  ].forEach(([sel, list]) => {
+    sel.innerHTML = "";
+    Object.keys(list).forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      sel.appendChild(option);
     });
-  } catch (e) {
-    console.error("Error sending message:", e);
-    logStatus("Extension error: " + e.message, true);
-  }
+  });
+  presetPickerSel.value = selected in presets ? selected : "Default";
+  automationPresetSel.value =
+    automationPresets[automationModelName] in runPresets
+      ? automationPresets[automationModelName]
+      : DETERMINISTIC_PRESET;
+  automationPresetSel.title = `Automation preset for ${automationModelName}`;
+  fillOptionsForm(presets[presetPickerSel.value]);
+  deletePresetBtn.disabled = presetPickerSel.value in BUILTIN_PRESETS;
 }
 
-// --- Main Automation Loop ---
-function runAutomationLoop() {
-  if (!isAutomationRunning) return;
-  if (!chrome.runtime?.id) {
-    logStatus("Extension context invalidated. Stopping.", true);
-    isAutomationRunning = false;
+function fillOptionsForm(preset) {
+  OPTION_FIELDS.forEach(([id, name]) => {
+    const value = preset.options[name];
+    document.getElementById(id).value = value === undefined ? "" : value;
+  });
+  // One stop sequence per line; newlines inside a sequence are written as \n
+  optStopEl.value = (preset.options.stop || [])
+    .map((stop) => stop.replace(/\n/g, "\\n"))
+    .join("\n");
+  optKeepAliveEl.value = preset.keep_alive ?? "";
+  updateBudgetMeter();
+}
+
+// Empty fields are left out, so the model's own defaults apply.
+function readOptionsForm() {
+  const options = {};
+  OPTION_FIELDS.forEach(([id, name, parse]) => {
+    const raw = document.getElementById(id).value.trim();
+    if (raw === "") return;
+    const value = parse(raw);
+    if (!Number.isNaN(value)) options[name] = value;
+  });
+  const stop = optStopEl.value
+    .split("\n")
+    .map((line) => line.replace(/\\n/g, "\n"))
+    .filter((line) => line !== "");
+  if (stop.length > 0) options.stop = stop;
+  // keep_alive is a duration ("5m", "1h") or a number of seconds (-1 = forever)
+  const keepAlive = optKeepAliveEl.value.trim();
+  return {
+    options,
+    keep_alive: /^-?\d+$/.test(keepAlive) ? parseInt(keepAlive, 10) : keepAlive,
+  };
+}
+
+// Generation fields for an ASK_OLLAMA message.
+function getGenerationSettings(forAutomation = false) {
+  if (!forAutomation) return readOptionsForm();
+  const model = getAutomationPresetModel();
+  const presets = getPresetsFor(model);
+  return presets[automationPresets[model]] || presets[DETERMINISTIC_PRESET];
+}
+
+function saveCurrentPreset() {
+  const model = modelSel.value;
+  const name = presetNameEl.value.trim();
+  if (!model || !name) {
+    presetStatusEl.textContent = "Select a model and name the preset first.";
     return;
   }
+  if (name in BUILTIN_PRESETS) {
+    presetStatusEl.textContent = `"${name}" is built in; pick another name.`;
+    return;
+  }
+  savedPresets[model] = {
+    ...(savedPresets[model] || {}),
+    [name]: readOptionsForm(),
+  };
+  savePresets(() => {
+    renderPresets(name);
+    presetNameEl.value = "";
+    presetStatusEl.textContent = `Saved preset "${name}" for ${model}.`;
+  });
+}
 
-  logStatus("Capturing screen for visual analysis...");
+function deleteCurrentPreset() {
+  const model = modelSel.value;
+  const name = presetPickerSel.value;
+  if (name in BUILTIN_PRESETS || !savedPresets[model]?.[name]) return;
+  delete savedPresets[model][name];
+  if (automationPresets[model] === name) delete automationPresets[model];
+  savePresets(() => {
+    renderPresets("Default");
+    presetStatusEl.textContent = `Deleted preset "${name}".`;
+  });
+}
 
-  // 1. Capture Screenshot
-  chrome.tabs.get(INSPECTED_TAB_ID, (tab) => {
-    if (chrome.runtime.lastError || !tab) {
+// --- Context budget ---
+// Prompts are measured against the context window the request will actually
+// get: num_ctx from the options form, otherwise Ollama's default window capped
+// by the model's trained length. Tokens are estimated at ~4 characters each,
+// the same estimate background.js uses to fit page text.
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_NUM_CTX = 4096; // Ollama's default when num_ctx is not set
+const REPLY_RESERVE_TOKENS = 512; // Room left for the reply without num_predict
+const QUESTION_RESERVE_TOKENS = 100; // Room left for the question itself
+const MIN_PAGE_TOKENS = 200;
+
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+function getContextWindow() {
+  const { options } = readOptionsForm();
+  if (options.num_ctx > 0) return options.num_ctx;
+  const trained = modelCapabilities[modelSel.value]?.contextLength;
+  return trained ? Math.min(trained, DEFAULT_NUM_CTX) : DEFAULT_NUM_CTX;
+}
+
+function getReplyReserve() {
+  const { options } = readOptionsForm();
+  return options.num_predict > 0 ? options.num_predict : REPLY_RESERVE_TOKENS;
+}
+
+function getHistoryTokens() {
+  return conversationHistory.reduce(
+    (sum, turn) => sum + estimateTokens(turn.content),
+    0
+  );
+}
+
+function updateBudgetMeter() {
+  const contextWindow = getContextWindow();
+  const used =
+    estimateTokens(promptEl.value) + getHistoryTokens() + getReplyReserve();
+  budgetMeterEl.max = contextWindow;
+  budgetMeterEl.low = contextWindow * 0.7;
+  budgetMeterEl.high = contextWindow * 0.9;
+  budgetMeterEl.value = Math.min(used, contextWindow);
+  budgetTextEl.textContent = `≈ ${used.toLocaleString()} / ${contextWindow.toLocaleString()} tokens`;
+  budgetTextEl.title =
+    "Prompt, conversation and room for the reply, estimated at ~4 characters per token";
+  budgetTextEl.style.color = used > contextWindow ? "red" : "";
+}
+
+// The question typed before (or after) loading the page context, if any
+function getPendingQuestion() {
+  const prompt = promptEl.value;
+  if (!/^(Page title|Open tabs):/.test(prompt)) return prompt.trim();
+  const marker = prompt.lastIndexOf("\nQuestion: ");
+  return marker === -1 ? "" : prompt.slice(marker + 11).trim();
+}
+
+// How background.js fits page text that exceeds its budget. Summaries use the
+// chat options, sized to the measured context window.
+function getFitSettings(question, contextWindow) {
+  const { options, keep_alive } = readOptionsForm();
+  return {
+    fit: contextFitSel.value,
+    contextWindow,
+    model: modelSel.value,
+    question,
+    generation: {
+      options: { ...options, num_ctx: contextWindow },
+      keepAlive: keep_alive,
+    },
+  };
+}
+
+// Fills the prompt with the page text (in the chosen extraction mode), fitted
+// to what is left of the context window after the conversation, the element
+// map and the reply.
+function loadPageContext(mode = contextModeSel.value, withElements = true) {
+  const question = getPendingQuestion();
+  clearElementFocus();
+  const withMap = (callback) =>
+    withElements ? getElementMap({}, callback) : callback(null);
+  withMap((map) => {
+    if (!chrome.runtime?.id) return;
+    // The element map lets the model answer with an index instead of
+    // a guessed selector; the page text still works without it.
+    const elements = map
+      ? `Interactive elements (act on one with {"action": "click", "index": N}):\n${formatElementMap(
+          map
+        )}\n\n`
+      : "";
+    const contextWindow = getContextWindow();
+    let budget =
+      contextWindow -
+      getReplyReserve() -
+      getHistoryTokens() -
+      estimateTokens(elements) -
+      QUESTION_RESERVE_TOKENS -
+      estimateTokens(question);
+    if (budget < MIN_PAGE_TOKENS) {
       logStatus(
-        `Error getting tab details: ${
-          chrome.runtime.lastError?.message || "Unknown error"
-        }. Stopping.`,
+        "The conversation and element map leave little room for page text; start a new session or raise num_ctx.",
         true
       );
-      isAutomationRunning = false;
+      budget = MIN_PAGE_TOKENS;
+    }
+    const requestId = createRequestId();
+    setActiveRequest(requestId);
+    resultDiv.textContent = "Reading page text...";
+    chrome.runtime.sendMessage(
+      {
+        type: "PREPARE_PAGE_CONTEXT",
+        tabId: INSPECTED_TAB_ID,
+        mode,
+        budget,
+        requestId,
+        ...getFitSettings(question, contextWindow),
+      },
+      (resp) => {
+        if (!chrome.runtime?.id || activeRequestId !== requestId) return;
+        setActiveRequest(null);
+        if (resp?.status === "cancelled") {
+          resultDiv.textContent = "Loading page context cancelled.";
+          return;
+        }
+        if (!resp || resp.status !== "ok") {
+          resultDiv.textContent = `Failed to get page context: ${
+            resp?.message || chrome.runtime.lastError?.message || "No response"
+          }`;
+          return;
+        }
+        const context = resp.context;
+        if (!context.text) {
+          resultDiv.textContent =
+            mode === "selection"
+              ? "Nothing is selected on the page."
+              : "The page has no text.";
+          return;
+        }
+        const label = mode === "full" ? "Page text" : `Page text (${mode})`;
+        promptEl.value = `Page title: ${context.title}\nURL: ${context.url}\n\n${elements}${label}:\n${context.text}\n\nQuestion: ${question}`;
+        updateBudgetMeter();
+        const fitted =
+          context.method === "full"
+            ? `≈ ${context.tokens} tokens`
+            : `${context.method} from ≈ ${context.originalTokens} to ≈ ${context.tokens} tokens`;
+        if (!withElements) {
+          resultDiv.textContent = `Page text loaded (${fitted}).`;
+        } else {
+          resultDiv.textContent = map
+            ? `Page context loaded (${map.elements.length} interactive elements, page text ${fitted}).`
+            : `Page context loaded (element map unavailable, page text ${fitted}).`;
+        }
+      }
+    );
+  });
+}
+
+// --- Ask across tabs ---
+// Page text from several open tabs goes into one prompt, each labelled
+// [Tab n] so the answer can say which tab a fact came from. The tabs share
+// the page-text budget (see prepareTabsContext in background.js).
+const TAB_HEADER_TOKENS = 40; // Label, title and URL of each tab
+let tabTitles = {}; // Tab id -> title, as listed
+
+function renderTabList() {
+  chrome.tabs.query({}, (tabs) => {
+    if (chrome.runtime.lastError || !tabs) {
+      tabListEl.textContent = `Could not list tabs: ${
+        chrome.runtime.lastError?.message || "Unknown error"
+      }`;
       return;
     }
-    chrome.tabs.captureVisibleTab(
-      tab.windowId,
-      { format: "jpeg" },
-      (dataUrl) => {
-        if (chrome.runtime.lastError || !dataUrl) {
-          logStatus(
-            `Error capturing screen: ${
-              chrome.runtime.lastError?.message || "Unknown error"
-            }. Stopping.`,
-            true
-          );
-          isAutomationRunning = false;
+    const selected = new Set(getSelectedTabIds());
+    tabListEl.innerHTML = "";
+    tabTitles = {};
+    tabs.forEach((tab) => {
+      tabTitles[tab.id] = tab.title || tab.url;
+      // Content scripts cannot run on browser pages
+      const readable = /^(https?|file):/.test(tab.url || "");
+      const label = document.createElement("label");
+      label.className = "tab-option";
+      label.title = tab.url || "";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = tab.id;
+      checkbox.disabled = !readable;
+      checkbox.checked = readable && selected.has(tab.id);
+      label.appendChild(checkbox);
+      label.appendChild(
+        document.createTextNode(
+          ` ${tab.title || tab.url}${
+            tab.id === INSPECTED_TAB_ID ? " (this tab)" : ""
+          }`
+        )
+      );
+      tabListEl.appendChild(label);
+    });
+  });
+}
+
+function getSelectedTabIds() {
+  return Array.from(tabListEl.querySelectorAll("input:checked")).map((input) =>
+    Number(input.value)
+  );
+}
+
+function loadTabsContext() {
+  const tabIds = getSelectedTabIds();
+  if (tabIds.length === 0) {
+    resultDiv.textContent = "Select the tabs to ask about first.";
+    return;
+  }
+  const question = getPendingQuestion();
+  clearElementFocus();
+  const contextWindow = getContextWindow();
+  let budget =
+    contextWindow -
+    getReplyReserve() -
+    getHistoryTokens() -
+    QUESTION_RESERVE_TOKENS -
+    estimateTokens(question) -
+    TAB_HEADER_TOKENS * tabIds.length;
+  if (budget < MIN_PAGE_TOKENS * tabIds.length) {
+    logStatus(
+      "The context window leaves little room for this many tabs; select fewer or raise num_ctx.",
+      true
+    );
+    budget = MIN_PAGE_TOKENS * tabIds.length;
+  }
+  const mode = contextModeSel.value;
+  const requestId = createRequestId();
+  setActiveRequest(requestId);
+  resultDiv.textContent = `Reading ${tabIds.length} tabs...`;
+  chrome.runtime.sendMessage(
+    {
+      type: "PREPARE_TABS_CONTEXT",
+      tabId: INSPECTED_TAB_ID,
+      tabIds,
+      mode,
+      budget,
+      requestId,
+      ...getFitSettings(question, contextWindow),
+    },
+    (resp) => {
+      if (!chrome.runtime?.id || activeRequestId !== requestId) return;
+      setActiveRequest(null);
+      if (resp?.status === "cancelled") {
+        resultDiv.textContent = "Loading tabs cancelled.";
+        return;
+      }
+      if (!resp || resp.status !== "ok") {
+        resultDiv.textContent = `Failed to read the tabs: ${
+          resp?.message || chrome.runtime.lastError?.message || "No response"
+        }`;
+        return;
+      }
+      const read = resp.contexts.filter((context) => context.text);
+      const skipped = resp.contexts.filter((context) => !context.text);
+      if (read.length === 0) {
+        resultDiv.textContent = "None of the selected tabs has readable text.";
+        return;
+      }
+      const label = mode === "full" ? "Page text" : `Page text (${mode})`;
+      const list = read
+        .map((context, i) => `[Tab ${i + 1}] ${context.title} (${context.url})`)
+        .join("\n");
+      const sections = read
+        .map(
+          (context, i) =>
+            `[Tab ${i + 1}] ${context.title}\nURL: ${context.url}\n${label}:\n${
+              context.text
+            }`
+        )
+        .join("\n\n");
+      promptEl.value = `Open tabs:\n${list}\n\n${sections}\n\nAnswer from these tabs and cite the tab each fact comes from as [Tab n].\n\nQuestion: ${question}`;
+      updateBudgetMeter();
+      const summary = read
+        .map(
+          (context, i) =>
+            `Tab ${i + 1}: ${
+              context.method === "full" ? "" : `${context.method} to `
+            }≈ ${context.tokens} tokens`
+        )
+        .join(", ");
+      resultDiv.textContent = `Loaded ${read.length} tabs (${summary}).`;
+      skipped.forEach((context) =>
+        logStatus(
+          `Skipped "${tabTitles[context.tabId] || context.tabId}": ${
+            context.error || "no text"
+          }.`,
+          true
+        )
+      );
+    }
+  );
+}
+
+// --- Asking about one element ---
+// Questions can be about a single element: one picked on the page (content.js
+// highlights elements under the mouse) or the one selected in the Elements
+// panel ($0). The prompt carries its outerHTML and computed styles, and a crop
+// of the screenshot goes along with the next question if the model sees.
+const FOCUS_ATTR = "data-ollama-assistant-focus"; // Same as in content.js
+const ELEMENT_CROP_PADDING = 8;
+let focusImage = null; // Base64 crop sent with the next Ask
+let isPicking = false;
+
+function setPicking(picking) {
+  isPicking = picking;
+  pickElementBtn.textContent = picking ? "Cancel Pick" : "Pick Element";
+}
+
+function togglePicker() {
+  if (!chrome.runtime?.id) return;
+  const type = isPicking ? "STOP_ELEMENT_PICKER" : "START_ELEMENT_PICKER";
+  chrome.runtime.sendMessage(
+    { type: "SEND_TO_TAB", tabId: INSPECTED_TAB_ID, payload: { type } },
+    (resp) => {
+      if (!chrome.runtime?.id) return;
+      if (resp?.status !== "ok") {
+        setPicking(false);
+        resultDiv.textContent = `Element picker unavailable: ${
+          resp?.message || "No response from page"
+        }`;
+        return;
+      }
+      setPicking(type === "START_ELEMENT_PICKER");
+      if (isPicking) {
+        resultDiv.textContent = "Click an element on the page (Esc cancels).";
+      }
+    }
+  );
+}
+
+// $0 only exists in the page's own world, so it is marked with an attribute
+// the content script can find.
+function useInspectedElement() {
+  const code = `
+    (() => {
+      if (!$0 || $0.nodeType !== Node.ELEMENT_NODE) return false;
+      document
+        .querySelectorAll('[${FOCUS_ATTR}]')
+        .forEach((el) => el.removeAttribute('${FOCUS_ATTR}'));
+      $0.setAttribute('${FOCUS_ATTR}', '');
+      return true;
+    })();
+  `;
+  chrome.devtools.inspectedWindow.eval(code, (marked, isException) => {
+    if (isException || !marked) {
+      resultDiv.textContent = "Select an element in the Elements panel first.";
+      return;
+    }
+    loadElementFocus("inspected");
+  });
+}
+
+function buildElementPrompt(page, question) {
+  const { element } = page;
+  const styles = Object.entries(element.styles)
+    .map(([property, value]) => `${property}: ${value}`)
+    .join("\n");
+  const name = element.name || element.text;
+  const header = `Page title: ${page.title}\nURL: ${page.url}\n\nElement: <${
+    element.tag
+  }>${name ? ` "${name}"` : ""} (${element.selector})\n`;
+  // The markup gets whatever the conversation and the rest leave
+  const budget =
+    getContextWindow() -
+    getReplyReserve() -
+    getHistoryTokens() -
+    QUESTION_RESERVE_TOKENS -
+    estimateTokens(question) -
+    estimateTokens(header + styles);
+  const maxChars = Math.max(budget, MIN_PAGE_TOKENS) * CHARS_PER_TOKEN;
+  let html = element.outerHTML;
+  if (html.length > maxChars || element.truncated) {
+    html = `${html.slice(0, maxChars)}\n<!-- … truncated … -->`;
+  }
+  return `${header}outerHTML:\n\`\`\`html\n${html}\n\`\`\`\n\nComputed styles:\n${styles}\n\nQuestion: ${question}`;
+}
+
+// Crops the element's viewport rect (CSS pixels) out of a screenshot
+function cropScreenshot(base64Image, rect, viewport, callback) {
+  const img = new Image();
+  img.onload = () => {
+    const scale = img.naturalWidth / viewport.width;
+    const left = Math.max(rect.x - ELEMENT_CROP_PADDING, 0);
+    const top = Math.max(rect.y - ELEMENT_CROP_PADDING, 0);
+    const right = Math.min(
+      rect.x + rect.width + ELEMENT_CROP_PADDING,
+      viewport.width
+    );
+    const bottom = Math.min(
+      rect.y + rect.height + ELEMENT_CROP_PADDING,
+      viewport.height
+    );
+    if (right <= left || bottom <= top) {
+      callback(null);
+      return;
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round((right - left) * scale);
+    canvas.height = Math.round((bottom - top) * scale);
+    canvas
+      .getContext("2d")
+      .drawImage(
+        img,
+        left * scale,
+        top * scale,
+        canvas.width,
+        canvas.height,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+      );
+    callback(canvas.toDataURL("image/jpeg").split(",")[1]);
+  };
+  img.onerror = () => callback(null);
+  img.src = `data:image/jpeg;base64,${base64Image}`;
+}
+
+function showElementFocus(label, image) {
+  focusImage = image;
+  focusInfoEl.style.display = label ? "" : "none";
+  focusLabelEl.textContent = label || "";
+  focusImageEl.style.display = image ? "" : "none";
+  focusImageEl.src = image ? `data:image/jpeg;base64,${image}` : "";
+}
+
+function clearElementFocus() {
+  showElementFocus(null, null);
+}
+
+// source: "picked" or "inspected"
+function loadElementFocus(source) {
+  if (!chrome.runtime?.id) return;
+  const question = getPendingQuestion();
+  chrome.runtime.sendMessage(
+    {
+      type: "SEND_TO_TAB",
+      tabId: INSPECTED_TAB_ID,
+      payload: { type: "GET_ELEMENT_DETAILS", source },
+    },
+    (resp) => {
+      if (!chrome.runtime?.id) return;
+      const pageResp = resp?.response;
+      if (resp?.status !== "ok" || pageResp?.status !== "ok") {
+        resultDiv.textContent = `Could not read the element: ${
+          pageResp?.message || resp?.message || "No response from page"
+        }`;
+        return;
+      }
+      const { element } = pageResp;
+      promptEl.value = buildElementPrompt(pageResp, question);
+      updateBudgetMeter();
+      const label = `<${element.tag}> ${element.selector}`;
+      showElementFocus(label, null);
+      resultDiv.textContent = `Asking about ${label}.`;
+      captureInspectedTab((base64Image) => {
+        if (!base64Image) return; // The markup alone still works
+        cropScreenshot(base64Image, element.rect, element.viewport, (crop) =>
+          showElementFocus(label, crop)
+        );
+      });
+    }
+  );
+}
+
+// --- Search my pages ---
+// Visited pages can be indexed into a local knowledge base (see the page index
+// in background.js). With "Search my pages" on, a question is first matched
+// against it and the best excerpts, numbered, go into the prompt; their URLs
+// are listed under the answer.
+const SEARCH_TOP_K = 8;
+
+function renderEmbedModels() {
+  const models = Object.keys(modelCapabilities).filter(
+    (name) => modelCapabilities[name]?.embedding
+  );
+  embedModelSel.innerHTML = "";
+  if (models.length === 0) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "No embedding model (pull e.g. nomic-embed-text)";
+    embedModelSel.appendChild(option);
+  }
+  models.forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name;
+    embedModelSel.appendChild(option);
+  });
+  if (models.includes(preferredEmbedModel)) {
+    embedModelSel.value = preferredEmbedModel;
+  } else if (preferredEmbedModel === "" && embedModelSel.value) {
+    // No choice made yet: background.js indexes with the stored model
+    preferredEmbedModel = embedModelSel.value;
+    chrome.storage.local.set({ indexEmbedModel: preferredEmbedModel });
+  }
+}
+
+function refreshIndexStats() {
+  if (!chrome.runtime?.id) return;
+  chrome.runtime.sendMessage({ type: "GET_INDEX_STATS" }, (resp) => {
+    if (!chrome.runtime?.id) return;
+    indexStatusEl.textContent =
+      resp?.status === "ok"
+        ? `${resp.pages} pages, ${resp.chunks} excerpts indexed.`
+        : `Index unavailable: ${resp?.message || "No response"}`;
+  });
+}
+
+function indexInspectedPage() {
+  if (!chrome.runtime?.id) return;
+  indexStatusEl.textContent = "Indexing this page...";
+  chrome.runtime.sendMessage(
+    {
+      type: "SEND_TO_TAB",
+      tabId: INSPECTED_TAB_ID,
+      payload: { type: "INDEX_CURRENT_PAGE" },
+    },
+    (resp) => {
+      if (!chrome.runtime?.id) return;
+      const outcome = resp?.response;
+      if (resp?.status !== "ok" || outcome?.status !== "ok") {
+        indexStatusEl.textContent = `Indexing failed: ${
+          outcome?.message || resp?.message || "No response from page"
+        }`;
+        return;
+      }
+      if (!outcome.indexed) {
+        indexStatusEl.textContent = outcome.reason;
+        return;
+      }
+      refreshIndexStats();
+    }
+  );
+}
+
+function clearPageIndex() {
+  if (!confirm("Remove all indexed pages?")) return;
+  chrome.runtime.sendMessage({ type: "CLEAR_INDEX" }, refreshIndexStats);
+}
+
+// Calls back with { prompt, sources } or (null, error)
+function searchMyPages(question, requestId, callback) {
+  chrome.runtime.sendMessage(
+    {
+      type: "SEARCH_PAGES",
+      query: question,
+      topK: SEARCH_TOP_K,
+      requestId,
+      tabId: INSPECTED_TAB_ID,
+    },
+    (resp) => {
+      if (!chrome.runtime?.id) return;
+      if (resp?.status !== "ok") {
+        callback(null, resp?.message || "No response");
+        return;
+      }
+      // Excerpts are added best first, as long as they fit the context window
+      let budget =
+        getContextWindow() -
+        getReplyReserve() -
+        getHistoryTokens() -
+        estimateTokens(question) -
+        QUESTION_RESERVE_TOKENS;
+      const excerpts = [];
+      const sources = [];
+      for (const result of resp.results) {
+        const number = excerpts.length + 1;
+        const excerpt = `[${number}] ${result.title || result.url} (${
+          result.url
+        })\n${result.text}`;
+        if (estimateTokens(excerpt) > budget) continue;
+        budget -= estimateTokens(excerpt);
+        excerpts.push(excerpt);
+        sources.push({ number, title: result.title, url: result.url });
+      }
+      if (excerpts.length === 0) {
+        callback({ prompt: question, sources });
+        return;
+      }
+      callback({
+        prompt: `Answer using these excerpts from pages I visited. Cite the excerpts you use as [n]. If they do not answer the question, say so.\n\n${excerpts.join(
+          "\n\n"
+        )}\n\nQuestion: ${question}`,
+        sources,
+      });
+    }
+  );
+}
+
+function showSources(replyEl, sources) {
+  const list = document.createElement("div");
+  list.className = "message-sources";
+  list.appendChild(document.createTextNode("Sources: "));
+  sources.forEach(({ number, title, url }) => {
+    const link = document.createElement("a");
+    link.href = url;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.title = url;
+    link.textContent = `[${number}] ${title || url}`;
+    list.appendChild(link);
+  });
+  replyEl.after(list);
+}
+
+// --- Endpoint profiles ---
+const DEFAULT_PROFILE_URL = "http://localhost:11434";
+
+function createProfileId() {
+  return `profile-${Date.now().toString(36)}`;
+}
+
+function getActiveProfile() {
+  return (
+    profiles.find((profile) => profile.id === activeProfileId) ||
+    profiles[0] ||
+    null
+  );
+}
+
+// Loads profiles from storage. The first time, the old single API key setting
+// is migrated into a default "Local" profile.
+function loadProfiles(callback) {
+  chrome.storage.local.get(
+    ["ollamaProfiles", "activeProfileId", "ollamaApiKey"],
+    (data) => {
+      profiles = data.ollamaProfiles || [];
+      activeProfileId = data.activeProfileId || null;
+      if (profiles.length === 0) {
+        const profile = {
+          id: createProfileId(),
+          name: "Local",
+          baseUrl: DEFAULT_PROFILE_URL,
+          apiKey: data.ollamaApiKey || "",
+          defaultModel: "",
+        };
+        profiles = [profile];
+        activeProfileId = profile.id;
+        chrome.storage.local.set({ ollamaProfiles: profiles, activeProfileId });
+      }
+      renderProfiles();
+      if (callback) callback();
+    }
+  );
+}
+
+function saveProfiles(callback) {
+  chrome.storage.local.set(
+    { ollamaProfiles: profiles, activeProfileId },
+    () => {
+      if (chrome.runtime.lastError) {
+        resultDiv.textContent = `Error saving profile: ${chrome.runtime.lastError.message}`;
+        return;
+      }
+      if (callback) callback();
+    }
+  );
+}
+
+function renderProfiles() {
+  profileSel.innerHTML = "";
+  profiles.forEach((profile) => {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = `${profile.name} (${profile.baseUrl})`;
+    profileSel.appendChild(option);
+  });
+  const active = getActiveProfile();
+  if (active) {
+    profileSel.value = active.id;
+    profileNameEl.value = active.name;
+    profileUrlEl.value = active.baseUrl;
+    apiKeyEl.value = active.apiKey || "";
+    profileModelEl.value = active.defaultModel || "";
+  }
+  deleteProfileBtn.disabled = profiles.length <= 1;
+}
+
+function readProfileForm() {
+  return {
+    name: profileNameEl.value.trim() || "Unnamed",
+    baseUrl: (profileUrlEl.value.trim() || DEFAULT_PROFILE_URL).replace(
+      /\/+$/,
+      ""
+    ),
+    apiKey: apiKeyEl.value, // Don't trim, key might have spaces
+    defaultModel: profileModelEl.value.trim(),
+  };
+}
+
+// The manifest's host permissions cover any server, so a profile only needs a
+// well-formed URL. Returns the problem, or null.
+function getServerUrlError(baseUrl) {
+  try {
+    new URL(baseUrl);
+    return null;
+  } catch (e) {
+    return `Invalid server URL: ${baseUrl}`;
+  }
+}
+
+// --- Conversation sessions ---
+// conversationHistory is saved through the background into
+// chrome.storage.session, keyed by the inspected tab and page origin, so it is
+// restored when DevTools is reopened on the same tab.
+let sessionPage = null; // { origin, title, url } of the inspected page
+
+function getInspectedPage(callback) {
+  const code = `({ origin: location.origin, title: document.title, url: location.href })`;
+  chrome.devtools.inspectedWindow.eval(code, (result, isException) => {
+    if (isException) {
+      console.error("Error getting inspected page:", isException);
+      callback(null);
+    } else {
+      callback(result);
+    }
+  });
+}
+
+function pushHistory(...turns) {
+  conversationHistory.push(...turns);
+  persistSession();
+  updateBudgetMeter();
+}
+
+function resetHistory() {
+  conversationHistory = [];
+  persistSession();
+  updateBudgetMeter();
+}
+
+function persistSession() {
+  if (!sessionPage || !chrome.runtime?.id) return;
+  chrome.runtime.sendMessage(
+    {
+      type: "SAVE_SESSION",
+      tabId: INSPECTED_TAB_ID,
+      ...sessionPage,
+      history: conversationHistory,
+    },
+    (resp) => {
+      if (!resp || resp.status === "error") {
+        console.error("Failed to save session:", resp?.message);
+      }
+    }
+  );
+}
+
+// Loads the saved session for the inspected tab's current origin, then calls
+// back (also when there was nothing to load).
+function restoreSession(callback = () => {}) {
+  getInspectedPage((page) => {
+    sessionPage = page;
+    if (!page || !chrome.runtime?.id) {
+      callback();
+      return;
+    }
+    chrome.runtime.sendMessage(
+      { type: "GET_SESSION", tabId: INSPECTED_TAB_ID, origin: page.origin },
+      (resp) => {
+        if (!chrome.runtime?.id) return;
+        conversationHistory = resp?.session?.history || [];
+        if (conversationHistory.length > 0) {
+          renderHistory();
+          logStatus(
+            `Restored ${conversationHistory.length} messages from the previous session on ${page.origin}.`
+          );
+        }
+        refreshSessionPicker();
+        callback();
+      }
+    );
+  });
+}
+
+function renderHistory() {
+  updateBudgetMeter();
+  resultDiv.innerHTML = "";
+  conversationHistory.forEach((turn) => {
+    // Tool results and bare tool calls are not shown as bubbles
+    if (turn.role === "tool" || !turn.content) return;
+    appendMessage(turn.role === "user" ? "user" : "assistant", turn.content);
+  });
+}
+
+function refreshSessionPicker() {
+  if (!chrome.runtime?.id) return;
+  chrome.runtime.sendMessage({ type: "LIST_SESSIONS" }, (resp) => {
+    if (!chrome.runtime?.id) return;
+    sessionPickerSel.innerHTML = "";
+    const sessions = resp?.sessions || [];
+    if (sessions.length === 0) {
+      const option = document.createElement("option");
+      option.value = "";
+      option.textContent = "No saved sessions";
+      sessionPickerSel.appendChild(option);
+    }
+    sessions.forEach((session) => {
+      const isCurrent =
+        session.tabId === INSPECTED_TAB_ID &&
+        session.origin === sessionPage?.origin;
+      const option = document.createElement("option");
+      option.value = session.id;
+      option.textContent = `${isCurrent ? "(current) " : ""}${
+        session.title
+      } - ${session.origin}, tab ${session.tabId}, ${session.turns} messages`;
+      option.selected = isCurrent;
+      sessionPickerSel.appendChild(option);
+    });
+    resumeSessionBtn.disabled = sessions.length === 0;
+  });
+}
+
+// --- Message bubbles ---
+// User prompts, assistant replies (rendered as Markdown, see markdown.js) and
+// status lines each get their own bubble in the result pane.
+function appendMessage(role, text = "") {
+  const bubble = document.createElement("div");
+  bubble.className = `message message-${role}`;
+  if (role === "assistant") {
+    bubble.appendChild(renderMarkdown(text));
+  } else {
+    bubble.textContent = text;
+  }
+  resultDiv.appendChild(bubble);
+  resultDiv.scrollTop = resultDiv.scrollHeight;
+  return bubble;
+}
+
+// --- Request cancellation ---
+function createRequestId() {
+  return `req-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+}
+
+function setActiveRequest(requestId) {
+  activeRequestId = requestId;
+  askBtn.textContent =
+    (requestId || toolAgentRun) && !isAutomationRunning ? "Cancel" : "Ask";
+}
+
+// Aborts the in-flight request. The background replies with a
+// REQUEST_CANCELLED message once the fetch or tab action has been stopped.
+function cancelActiveRequest() {
+  if (!activeRequestId) return;
+  const requestId = activeRequestId;
+  setActiveRequest(null);
+  pendingStreamTurn = null;
+  if (!chrome.runtime?.id) return;
+  chrome.runtime.sendMessage({
+    type: "CANCEL_REQUEST",
+    requestId,
+    tabId: INSPECTED_TAB_ID,
+  });
+}
+
+// --- Debug helpers (omitted for brevity, assume they are present) ---
+let DEBUG = false;
+
+function logStatus(message, isError = false) {
+  const entry = document.createElement("div");
+  entry.className = "message-status";
+  entry.textContent = message;
+  if (isError) {
+    entry.style.color = "red";
+    entry.style.fontWeight = "bold";
+  }
+  // During automation, entries go into the current step of the timeline
+  (currentStepEl || resultDiv).appendChild(entry);
+  resultDiv.scrollTop = resultDiv.scrollHeight;
+}
+
+function logToUI(message, ...args) {
+  if (DEBUG) {
+    const logEntry = document.createElement("div");
+    logEntry.className = "debug-log";
+    const content = args.length > 0 ? JSON.stringify(args, null, 2) : "";
+    logEntry.textContent = `[DEBUG] ${message} ${content}`;
+    resultDiv.appendChild(logEntry);
+    resultDiv.scrollTop = resultDiv.scrollHeight;
+    console.log(`[Ollama Assistant Panel] ${message}`, ...args);
+  }
+}
+
+function debugPing() {
+  if (DEBUG) {
+    logToUI("Sending ping to background script");
+  }
+  if (!chrome.runtime?.id) return;
+  chrome.runtime.sendMessage({ type: "DEBUG_PING" }, (resp) => {
+    if (DEBUG) {
+      console.log(
+        "[Ollama Assistant Panel]",
+        "Background script ping response:",
+        resp
+      );
+    }
+  });
+}
+
+function setDebug(enabled) {
+  DEBUG = !!enabled;
+  // Use a try-catch block to prevent "context invalidated" errors if panel is closed
+  try {
+    if (!chrome.runtime?.id) return;
+    chrome.runtime.sendMessage(
+      { type: "SET_DEBUG", enabled: DEBUG },
+      (resp) => {
+        if (!chrome.runtime?.id) return;
+        if (chrome.runtime.lastError) {
+          console.error(chrome.runtime.lastError.message);
+        } else if (DEBUG) {
+          logToUI("SET_DEBUG response", resp);
+        }
+      }
+    );
+  } catch (e) {
+    console.error("Failed to send SET_DEBUG message:", e.message);
+  }
+  // Update button text immediately
+  debugToggleBtn.textContent = DEBUG ? "Debug ON" : "Debug OFF";
+  debugToggleBtn.style.backgroundColor = DEBUG ? "#4CAF50" : "";
+  debugToggleBtn.style.color = DEBUG ? "white" : "black";
+}
+
+// --- Helper to safely send messages to tab (with retry/injection) ---
+function sendMessageToTab(tabId, message, retries = 3) {
+  if (!chrome.runtime?.id) {
+    console.error(
+      "Extension context invalidated. Please close and reopen DevTools."
+    );
+    return;
+  }
+
+  try {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (!chrome.runtime?.id) return; // Context died during request
+
+      if (chrome.runtime.lastError) {
+        const err = chrome.runtime.lastError.message;
+        console.warn(`[Msg Fail] Attempt remaining ${retries}: ${err}`);
+
+        if (retries > 0 && err.includes("Receiving end does not exist")) {
+          // Inject the content script again if it's missing
+          logStatus("Re-injecting content script...", true);
+
+          if (chrome.tabs.executeScript) {
+            chrome.tabs.executeScript(tabId, { file: "content.js" }, () => {
+              if (!chrome.runtime?.id) return;
+              if (chrome.runtime.lastError) {
+                logStatus(
+                  "Injection failed: " + chrome.runtime.lastError.message,
+                  true
+                );
+              } else {
+                setTimeout(
+                  () => sendMessageToTab(tabId, message, retries - 1),
+                  500
+                );
+              }
+            });
+          } else {
+            logStatus(
+              "Cannot inject content script: API unavailable. Please reload page.",
+              true
+            );
+          }
+        } else {
+          logStatus("Error executing action on page: " + err, true);
+        }
+      } else {
+        logStatus(`Action successful: ${response?.message || "OK"}`);
+        // Optional: Trigger next loop here if needed
+      }
+    });
+  } catch (e) {
+    console.error("Error sending message:", e);
+    logStatus("Extension error: " + e.message, true);
+  }
+}
+
+// --- Main Automation Loop ---
+// Each step: wait for the page to settle, capture the tab, ask the vision
+// model for the next action, execute it, feed the observation back into
+// conversationHistory and go again, until the model returns done/answer or the
+// step budget runs out.
+const DEFAULT_MAX_STEPS = 10;
+
+let automationStep = 0;
+let currentStepEl = null;
+let currentElementMap = null; // Element map captured with this step's screenshot
+let stepUsesMarks = false; // Screenshot of this step shows the set-of-marks overlay
+// Tab the run acts on; open_tab and switch_tab move it off the inspected tab
+let automationTabId = null;
+let automationTabs = []; // Open tabs of its window, listed in the prompt
+
+// Tab page actions, element maps and screenshots go to
+function getTargetTabId() {
+  return (isAutomationRunning && automationTabId) || INSPECTED_TAB_ID;
+}
+
+function getMaxSteps() {
+  const value = parseInt(maxStepsEl.value, 10);
+  return value > 0 ? value : DEFAULT_MAX_STEPS;
+}
+
+// Starts a new entry in the per-step timeline; logStatus writes into it
+// until the step completes.
+function beginStepTimeline(step, title = `Step ${step} of ${getMaxSteps()}`) {
+  const stepEl = document.createElement("div");
+  stepEl.className = "automation-step";
+  const titleEl = document.createElement("div");
+  titleEl.className = "automation-step-title";
+  titleEl.textContent = title;
+  stepEl.appendChild(titleEl);
+  resultDiv.appendChild(stepEl);
+  currentStepEl = stepEl;
+}
+
+function endStepTimeline(isError) {
+  if (!currentStepEl) return;
+  currentStepEl.classList.add(isError ? "error" : "ok");
+  currentStepEl = null;
+}
+
+function finishAutomation(message, isError = false) {
+  endStepTimeline(isError);
+  if (stepUsesMarks) hideMarks(); // Stopped between drawing and capturing
+  isAutomationRunning = false;
+  macroReplay = null;
+  cancelActiveRequest();
+  chrome.runtime.sendMessage({
+    type: "CLEAR_AUTOMATION_RUN",
+    panelTabId: INSPECTED_TAB_ID,
+  });
+  askBtn.disabled = false;
+  askWithScreenshotBtn.textContent = "Ask with Screenshot";
+  logStatus(message, isError);
+}
+
+// Records the outcome of a step as an observation for the model and starts the
+// next step, which first waits for the page to settle.
+function completeStep(observation, isError = false) {
+  logStatus(observation, isError);
+  endStepTimeline(isError);
+  pushHistory({
+    role: "user",
+    content: `Observation after step ${automationStep}: ${observation}`,
+  });
+  if (!isAutomationRunning) return;
+  if (macroReplay?.fallback && !isError) {
+    resumeMacroReplay();
+    return;
+  }
+  saveAutomationRun();
+  runAutomationLoop();
+}
+
+// Keeps the run in the background after every step, so it can be resumed
+// when the panel is reopened (see offerRunResume). Macro replays are not.
+function saveAutomationRun(changes = {}) {
+  if (macroReplay || !chrome.runtime?.id) return;
+  chrome.runtime.sendMessage({
+    type: "SAVE_AUTOMATION_RUN",
+    panelTabId: INSPECTED_TAB_ID,
+    run: {
+      goal: originalUserPrompt,
+      model: automationModel,
+      step: automationStep,
+      targetTabId: getTargetTabId(),
+      history: conversationHistory,
+      ...changes,
+    },
+  });
+}
+
+function offerRunResume() {
+  if (!chrome.runtime?.id) return;
+  chrome.runtime.sendMessage(
+    { type: "GET_AUTOMATION_RUN", panelTabId: INSPECTED_TAB_ID },
+    (resp) => {
+      const run = resp?.run;
+      if (!chrome.runtime?.id || !run || isAutomationRunning) return;
+      const row = document.createElement("div");
+      row.className = "row";
+      const label = document.createElement("span");
+      label.style.flexGrow = "1";
+      label.textContent = `Unfinished automation after step ${
+        run.step
+      }: "${run.goal.substring(0, 60)}"`;
+      const resumeBtn = document.createElement("button");
+      resumeBtn.textContent = "Resume";
+      resumeBtn.addEventListener("click", () => {
+        row.remove();
+        resumeAutomationRun(run);
+      });
+      const discardBtn = document.createElement("button");
+      discardBtn.textContent = "Discard";
+      discardBtn.addEventListener("click", () => {
+        row.remove();
+        chrome.runtime.sendMessage({
+          type: "CLEAR_AUTOMATION_RUN",
+          panelTabId: INSPECTED_TAB_ID,
+        });
+      });
+      row.appendChild(label);
+      row.appendChild(resumeBtn);
+      row.appendChild(discardBtn);
+      resultDiv.appendChild(row);
+    }
+  );
+}
+
+// Continues a saved run with its history on the tab it was acting on.
+function resumeAutomationRun(run) {
+  if (isAutomationRunning) return;
+  automationModel = getVisionModels().includes(run.model)
+    ? run.model
+    : getVisionModel();
+  if (!automationModel) {
+    logStatus("No vision model is installed to resume the run with.", true);
+    return;
+  }
+  originalUserPrompt = run.goal;
+  conversationHistory = run.history || [];
+  persistSession();
+  renderHistory();
+  isAutomationRunning = true;
+  automationStep = run.step;
+  automationTabId = run.targetTabId;
+  recordedSteps = [];
+  askBtn.disabled = true;
+  askWithScreenshotBtn.textContent = "Stop Automation";
+  logStatus(`Resuming automation with ${automationModel}...`);
+  runAutomationLoop();
+}
+
+// Captures the visible part of the tab the run acts on (the inspected tab
+// otherwise) as a raw Base64 JPEG.
+function captureInspectedTab(callback) {
+  chrome.tabs.get(getTargetTabId(), (tab) => {
+    if (chrome.runtime.lastError || !tab) {
+      callback(
+        null,
+        `Error getting tab details: ${
+          chrome.runtime.lastError?.message || "Unknown error"
+        }`
+      );
+      return;
+    }
+    chrome.tabs.captureVisibleTab(
+      tab.windowId,
+      { format: "jpeg" },
+      (dataUrl) => {
+        if (chrome.runtime.lastError || !dataUrl) {
+          callback(
+            null,
+            `Error capturing screen: ${
+              chrome.runtime.lastError?.message || "Unknown error"
+            }`
+          );
+          return;
+        }
+        callback(dataUrl.split(",")[1]);
+      }
+    );
+  });
+}
+
+// Actions background.js runs on the tabs themselves; they need no element
+const TAB_ACTIONS = [
+  "navigate",
+  "open_tab",
+  "switch_tab",
+  "close_tab",
+  "go_back",
+  "go_forward",
+  "reload",
+];
+// Actions content.js or background.js can perform, as listed in the vision
+// prompt and schema
+const AUTOMATION_ACTIONS = [
+  "click",
+  "double_click",
+  "right_click",
+  "hover",
+  "type",
+  "clear",
+  "press_key",
+  "select_option",
+  "check",
+  "uncheck",
+  "drag_and_drop",
+  "submit",
+  "scroll",
+  "scroll_to_element",
+  "get_text",
+  "wait",
+  "wait_for",
+  ...TAB_ACTIONS,
+  "done",
+  "answer",
+];
+const ACTION_NAMES = AUTOMATION_ACTIONS.map((name) => `"${name}"`).join(" | ");
+
+// JSON Schema sent as Ollama's `format` for vision steps. With set-of-marks the
+// target is a mark, otherwise an index, selector and/or box_2d.
+function buildActionSchema() {
+  const elementRef = { type: "integer", minimum: 0 };
+  const targets = stepUsesMarks
+    ? { mark: elementRef, target_mark: elementRef }
+    : {
+        index: elementRef,
+        selector: { type: "string" },
+        box_2d: {
+          type: "array",
+          items: { type: "number", minimum: 0, maximum: 1000 },
+          minItems: 4,
+          maxItems: 4,
+        },
+        target_index: elementRef,
+        target_selector: { type: "string" },
+      };
+  return {
+    type: "object",
+    properties: {
+      action: { type: "string", enum: AUTOMATION_ACTIONS },
+      ...targets,
+      value: { type: ["string", "number"] },
+      state: { type: "string", enum: ["appear", "disappear"] },
+      timeout: { type: "integer", minimum: 0 },
+      message: { type: "string" },
+      reason: { type: "string" },
+    },
+    required: ["action", "reason"],
+  };
+}
+
+function buildVisionPrompt() {
+  const elements = currentElementMap
+    ? `
+Interactive elements visible on the page (${
+        stepUsesMarks ? "mark" : "index"
+      }, role, accessible name):
+${formatElementMap(currentElementMap)}
+`
+    : "";
+  const tabs = automationTabs
+    .map(
+      (tab) =>
+        `[${tab.id}] ${tab.title} - ${tab.url}${
+          tab.id === getTargetTabId()
+            ? " (current, shown in the screenshot)"
+            : ""
+        }`
+    )
+    .join("\n");
+  const marksIntro = stepUsesMarks
+    ? `
+Each interactive element in the screenshot is outlined and labelled with a number, its mark.
+`
+    : "";
+  const outputFormat = stepUsesMarks
+    ? `Output Format:
+Return a JSON object. Give the "mark" number of the element to act on. press_key, scroll and wait need no mark; press_key without a mark goes to the focused element. wait_for waits for a mark, or for the text in "value", to appear (or with "state": "disappear" to go away).
+
+Response Schema:
+{
+  "action": ${ACTION_NAMES},
+  "mark": number,
+  "target_mark": number (drag_and_drop only: the mark to drop onto),
+  "value": "Text to type, option to select, key to press (e.g. \"Enter\", \"Control+a\"), ms to wait or text to wait for",
+  "state": "appear" | "disappear" (wait_for only),
+  "timeout": number (wait_for only: ms, default 10000),
+  "message": "Summary of the result or the answer to the user (done/answer only)",
+  "reason": "Brief explanation of why you chose this element"
+}
+
+Examples:
+{"action": "click", "mark": 7, "reason": "Mark 7 is the search button"}
+{"action": "type", "mark": 4, "value": "shoes", "reason": "Mark 4 is the search input"}
+{"action": "press_key", "value": "Enter", "reason": "Submit the search from the focused input"}
+{"action": "wait_for", "value": "results for", "reason": "The results are still loading"}
+{"action": "open_tab", "value": "https://example.com/pricing", "reason": "Compare with the prices on example.com"}
+{"action": "done", "message": "The search results for 'shoes' are shown."}`
+    : `Output Format:
+Return a JSON object. Identify the element by its "index" from the element list when it is listed there. Otherwise give a CSS "selector" or the coordinates of the element; giving both lets the other be tried if one fails.
+Use a 1000x1000 coordinate system (where 0,0 is top-left and 1000,1000 is bottom-right).
+
+Response Schema:
+{
+  "action": ${ACTION_NAMES},
+  "index": number,
+  "selector": "CSS selector",
+  "box_2d": [ymin, xmin, ymax, xmax],
+  "target_index": number (drag_and_drop only: the element to drop onto),
+  "value": "Text to type, option to select, key to press (e.g. \"Enter\", \"Control+a\"), ms to wait or text to wait for",
+  "state": "appear" | "disappear" (wait_for only),
+  "timeout": number (wait_for only: ms, default 10000),
+  "message": "Summary of the result or the answer to the user (done/answer only)",
+  "reason": "Brief explanation of why you chose this element"
+}
+
+Examples:
+{"action": "click", "box_2d": [10, 10, 50, 200], "reason": "This is the search bar"}
+{"action": "type", "index": 4, "value": "shoes", "reason": "Element 4 is the search input"}
+{"action": "select_option", "index": 9, "value": "Large", "reason": "Element 9 is the size dropdown"}
+{"action": "submit", "selector": "form#search input[name=q]", "box_2d": [10, 10, 50, 200], "reason": "Submit the search form"}
+{"action": "wait_for", "selector": ".spinner", "state": "disappear", "reason": "Wait until the results finished loading"}
+{"action": "switch_tab", "value": 412, "reason": "Tab 412 has the cart"}
+{"action": "done", "message": "The search results for 'shoes' are shown."}`;
+  return `
+You are a web automation agent. You are looking at a screenshot of a web page.
+${marksIntro}
+User's Goal: "${originalUserPrompt}"
+${elements}
+Open tabs (id, title - URL):
+${tabs || "unknown"}
+
+Tab actions need no element: "navigate" and "open_tab" take a URL as value ("open_tab" continues in the new tab), "switch_tab" and "close_tab" a tab id ("close_tab" without one closes the current tab), "go_back", "go_forward" and "reload" act on the current tab.
+
+This is step ${automationStep} of at most ${getMaxSteps()}. Earlier messages describe the actions already taken and what was observed afterwards.
+
+Task: Decide the single next action that moves the page closer to the user's goal. Identify the specific UI element (button, link, input) to interact with, or finish if the goal is already achieved.
+
+${outputFormat}
+
+🚫 STRICT CONSTRAINTS:
+- Do NOT guess selectors for elements that have an index or mark.
+- Return ONLY the JSON object.
+`;
+}
+
+function runAutomationLoop() {
+  if (!isAutomationRunning) return;
+  if (!chrome.runtime?.id) {
+    logStatus("Extension context invalidated. Stopping.", true);
+    isAutomationRunning = false;
+    return;
+  }
+  if (automationStep >= getMaxSteps()) {
+    finishAutomation(
+      `Step budget of ${getMaxSteps()} reached before the goal was done. Stopping.`,
+      true
+    );
+    return;
+  }
+
+  automationStep++;
+  beginStepTimeline(automationStep);
+  logStatus("Waiting for the page to settle...");
+  attachAutomationTab((tab, error) => {
+    if (!tab) {
+      logStatus(`${error}; trying the screenshot anyway.`, true);
+    } else if (tab.settle && !tab.settle.settled) {
+      logStatus(
+        `Page still busy after ${tab.settle.waited}ms (${tab.settle.busy.join(
+          ", "
+        )}); going on.`
+      );
+    }
+    logStatus("Capturing screen for visual analysis...");
+    mapAndCaptureStep();
+  });
+}
+
+// Waits until the run's tab finished loading, content.js answers there again
+// (it is re-injected after navigations) and the page has settled, then lists
+// the open tabs of its window for the prompt. A tab closed meanwhile hands
+// the run back to the inspected tab.
+function attachAutomationTab(callback) {
+  const requestId = createRequestId();
+  setActiveRequest(requestId);
+  chrome.runtime.sendMessage(
+    { type: "ATTACH_TAB", tabId: getTargetTabId(), requestId },
+    (resp) => {
+      if (requestId !== activeRequestId || !isAutomationRunning) return;
+      setActiveRequest(null);
+      if (resp?.status !== "ok" && getTargetTabId() !== INSPECTED_TAB_ID) {
+        logStatus(
+          `Tab ${getTargetTabId()} is no longer usable (${
+            resp?.message || "No response"
+          }); going back to the inspected tab.`,
+          true
+        );
+        automationTabId = INSPECTED_TAB_ID;
+        attachAutomationTab(callback);
+        return;
+      }
+      chrome.tabs.get(getTargetTabId(), (current) => {
+        if (chrome.runtime.lastError || !current) {
+          automationTabs = [];
+          callback(resp?.tab, resp?.message || "No response");
+          return;
+        }
+        chrome.tabs.query({ windowId: current.windowId }, (tabs) => {
+          automationTabs = tabs.filter((tab) => /^https?:/.test(tab.url || ""));
+          callback(resp?.status === "ok" ? resp.tab : null, resp?.message);
+        });
+      });
+    }
+  );
+}
+
+function mapAndCaptureStep() {
+  if (!isAutomationRunning) return;
+  // 1. Map the interactive elements in view (drawing the set-of-marks
+  // overlay when enabled), then capture the screenshot
+  const withMarks = setOfMarksChk.checked;
+  getElementMap(
+    { viewportOnly: true, max: 100 },
+    (map, mapError) => {
+      stepUsesMarks = withMarks && !!map;
+      if (!isAutomationRunning) {
+        if (stepUsesMarks) hideMarks();
+        return;
+      }
+      currentElementMap = map;
+      if (!map) {
+        logStatus(
+          `Element map unavailable (${mapError}); using the screenshot only.`
+        );
+      }
+      captureStepScreenshot();
+    },
+    withMarks
+  );
+}
+
+function captureStepScreenshot() {
+  captureInspectedTab((base64Image, error) => {
+    // The overlay must not stay on the page once the screenshot is taken
+    if (stepUsesMarks) hideMarks();
+    if (!isAutomationRunning) return;
+    if (!base64Image) {
+      finishAutomation(`${error}. Stopping.`, true);
+      return;
+    }
+    showScreenshot(base64Image);
+
+    // 2. Send Image to the vision model. The panel executes the returned
+    // action itself, so the background must not relay it.
+    if (!chrome.runtime?.id) return;
+    const requestId = createRequestId();
+    setActiveRequest(requestId);
+    chrome.runtime.sendMessage(
+      {
+        type: "ASK_OLLAMA",
+        model: automationModel || modelSel.value,
+        prompt: buildVisionPrompt(),
+        image: base64Image,
+        stream: false,
+        tabId: INSPECTED_TAB_ID,
+        history: conversationHistory,
+        requestId,
+        relayActions: false,
+        format: buildActionSchema(),
+        ...getGenerationSettings(true),
+      },
+      (resp) => {
+        // Stopped or superseded while the model was thinking: drop the
+        // reply so its action never runs.
+        if (requestId !== activeRequestId || !isAutomationRunning) return;
+        setActiveRequest(null);
+        if (resp?.status === "cancelled") return;
+        if (!resp || resp.status === "error") {
+          finishAutomation(
+            `AI failed: ${resp?.message || "No response"}. Stopping.`,
+            true
+          );
+          return;
+        }
+        handleStepResponse(resp.result || {});
+      }
+    );
+  });
+}
+
+// 3. Handle the model's reply for the current step and execute it.
+function handleStepResponse(result) {
+  const command = result.command;
+  pushHistory({
+    role: "assistant",
+    content: result.response || "",
+  });
+  logToUI("Parsed AI command", command);
+
+  if (!command || !command.action) {
+    // The background already re-asked with these errors
+    const errors = result.validationErrors || [];
+    completeStep(
+      errors.length > 0
+        ? `The reply did not match the action schema: ${errors.join(
+            "; "
+          )}. Reply with ONLY the JSON object.`
+        : "The reply was not a valid JSON action. Reply with ONLY the JSON object.",
+      true
+    );
+    return;
+  }
+
+  if (macroReplay?.fallback && command.action === "done") {
+    endStepTimeline(false);
+    resumeMacroReplay();
+    return;
+  }
+
+  if (command.action === "done" || command.action === "answer") {
+    endStepTimeline(false);
+    appendMessage(
+      "assistant",
+      command.message || command.value || command.reason || "Done."
+    );
+    const replayed = !!macroReplay;
+    finishAutomation("Automation finished: goal reached.");
+    if (!replayed) offerMacroSave();
+    return;
+  }
+
+  if (command.action === "error") {
+    finishAutomation(
+      `AI reported an error: ${command.message || "unknown"}. Stopping.`,
+      true
+    );
+    return;
+  }
+
+  executeStepAction(command);
+}
+
+// Actions that act on the page or the focused element and need no target
+const UNTARGETED_ACTIONS = ["press_key", "scroll", "wait", "wait_for"];
+
+// Targets a command can carry, in order of preference. When one fails the next
+// is tried, so a single step can fall back from an element index or CSS
+// selector to coordinates and vice versa.
+function getCommandTargets(command) {
+  const targets = [];
+  if (stepUsesMarks && Number.isInteger(command.mark)) {
+    // Mark ids are element map indexes, so the mark resolves to the exact
+    // element that was labelled in the screenshot
+    targets.push({ kind: "index", index: command.mark });
+  } else if (Number.isInteger(command.index)) {
+    targets.push({ kind: "index", index: command.index });
+  }
+  if (typeof command.selector === "string" && command.selector.trim()) {
+    targets.push({ kind: "selector", selector: command.selector.trim() });
+  }
+  if (Array.isArray(command.box_2d) && command.box_2d.length === 4) {
+    targets.push({ kind: "coordinates", box_2d: command.box_2d });
+  }
+  if (targets.length === 0 && UNTARGETED_ACTIONS.includes(command.action)) {
+    targets.push({ kind: "page" });
+  }
+  return targets;
+}
+
+function describeTarget(target) {
+  if (target.kind === "index") {
+    const element = currentElementMap?.elements[target.index];
+    return `element [${target.index}]${
+      element ? ` ${element.role} "${element.name}"` : ""
+    }`;
+  }
+  if (target.kind === "selector") {
+    return `selector ${target.selector}`;
+  }
+  if (target.kind === "page") {
+    return "the page";
+  }
+  const [ymin, xmin, ymax, xmax] = target.box_2d;
+  return `coordinates (${((xmin + xmax) / 2000).toFixed(2)}, ${(
+    (ymin + ymax) /
+    2000
+  ).toFixed(2)})`;
+}
+
+// earlierFailures are the outcomes of the same step before a second opinion
+// (see askSecondOpinion), which is only asked for once per step.
+function executeStepAction(command, earlierFailures = null) {
+  if (
+    macroReplay?.fallback &&
+    macroReplay.fallbackValue !== undefined &&
+    ["type", "select_option"].includes(command.action)
+  ) {
+    command = {
+      ...command,
+      value: macroReplay.fallbackValue,
+      secret: macroReplay.fallbackSecret,
+    };
+  }
+  if (TAB_ACTIONS.includes(command.action)) {
+    logStatus(
+      `AI chose ${command.action}${
+        command.value !== undefined ? ` ${command.value}` : ""
+      }${command.reason ? ` (${command.reason})` : ""}`
+    );
+    runTabCommand(command, (ok, message, data) => {
+      // Nobody is watching; asking again on the next step would not help
+      if (data?.expired) {
+        finishAutomation(
+          `${command.action}: ${message} Automation stopped.`,
+          true
+        );
+        return;
+      }
+      if (ok) {
+        // Tab ids change between runs; a switch is replayed by URL
+        recordStep(
+          command.action === "switch_tab"
+            ? { ...command, value: data.url }
+            : command,
+          { kind: "page" }
+        );
+      }
+      completeStep(
+        `${command.action}: ${message}${
+          data?.denied
+            ? ` Choose a different action, or use "answer" to explain what you would do.`
+            : ""
+        }`,
+        !ok
+      );
+    });
+    return;
+  }
+  const targets = getCommandTargets(command);
+  if (targets.length === 0) {
+    completeStep(
+      `Action '${command.action}' has no target. Give an index, a selector or box_2d coordinates.`,
+      true
+    );
+    return;
+  }
+
+  const failures = earlierFailures ? [...earlierFailures] : [];
+  const tryTarget = (i) => {
+    const target = targets[i];
+    logStatus(
+      `AI targeted ${describeTarget(target)}${
+        command.reason ? ` (${command.reason})` : ""
+      }`
+    );
+    runTargetedAction(command, target, (ok, message, data) => {
+      const outcome = `${command.action} on ${describeTarget(
+        target
+      )}: ${message}`;
+      if (data?.expired) {
+        finishAutomation(`${outcome} Automation stopped.`, true);
+      } else if (data?.denied) {
+        completeStep(
+          `${outcome} Choose a different action, or use "answer" to explain what you would do.`,
+          true
+        );
+      } else if (ok) {
+        recordStep(command, target, data);
+        completeStep(
+          failures.length > 0
+            ? `${outcome} (after fallback from: ${failures.join(" | ")})`
+            : outcome
+        );
+      } else if (data?.noEffect) {
+        // The click reached the element; the other targets would only click
+        // it again
+        failures.push(outcome);
+        retryWithoutEffect(command, data, failures, !earlierFailures);
+      } else if (i + 1 < targets.length) {
+        failures.push(outcome);
+        logStatus(
+          `${outcome}. Falling back to ${targets[i + 1].kind}...`,
+          true
+        );
+        tryTarget(i + 1);
+      } else {
+        failures.push(outcome);
+        completeStep(
+          `${failures.join(
+            " | "
+          )}. Try a different target (index, selector or box_2d).`,
+          true
+        );
+      }
+    });
+  };
+  tryTarget(0);
+}
+
+function giveUpWithoutEffect(failures) {
+  completeStep(
+    `${failures.join(" | ")}. Try a different element or action.`,
+    true
+  );
+}
+
+// A click that changed nothing is not repeated on the same element. The
+// clickable ancestor content.js named, if any, is tried as an action of its
+// own, so the background classifies and approves it like any other; then the
+// model may be asked once (secondOpinion).
+function retryWithoutEffect(command, data, failures, secondOpinion) {
+  const next = () =>
+    secondOpinion
+      ? askSecondOpinion(command, failures)
+      : giveUpWithoutEffect(failures);
+  if (!data.ancestorSelector) {
+    next();
+    return;
+  }
+  const target = { kind: "selector", selector: data.ancestorSelector };
+  logStatus("No visible effect; trying the clickable ancestor instead...");
+  runTargetedAction(command, target, (ok, message, ancestorData) => {
+    const outcome = `${command.action} on ${describeTarget(
+      target
+    )}: ${message}`;
+    if (ok) {
+      recordStep(command, target, ancestorData);
+      completeStep(`${outcome} (after fallback from: ${failures.join(" | ")})`);
+      return;
+    }
+    if (ancestorData?.expired) {
+      finishAutomation(`${outcome} Automation stopped.`, true);
+      return;
+    }
+    failures.push(outcome);
+    if (ancestorData?.denied) {
+      completeStep(
+        `${failures.join(
+          " | "
+        )} Choose a different action, or use "answer" to explain what you would do.`,
+        true
+      );
+      return;
+    }
+    next();
+  });
+}
+
+// Before a step without effect fails, the model gets a fresh element map and
+// screenshot and is asked for a different target once.
+function askSecondOpinion(command, failures) {
+  const giveUp = () => giveUpWithoutEffect(failures);
+  logStatus("No visible effect; asking the model for a second opinion...");
+  const withMarks = stepUsesMarks;
+  getElementMap(
+    { viewportOnly: true, max: 100 },
+    (map) => {
+      if (!isAutomationRunning) return;
+      currentElementMap = map;
+      stepUsesMarks = withMarks && !!map;
+      captureInspectedTab((base64Image, error) => {
+        if (stepUsesMarks) hideMarks();
+        if (!isAutomationRunning) return;
+        if (!base64Image) {
+          logStatus(error, true);
+          giveUp();
+          return;
+        }
+        showScreenshot(base64Image);
+        const requestId = createRequestId();
+        setActiveRequest(requestId);
+        chrome.runtime.sendMessage(
+          {
+            type: "ASK_OLLAMA",
+            model: automationModel || modelSel.value,
+            prompt: `${buildVisionPrompt()}
+Your last action ${JSON.stringify(
+              command
+            )} had no visible effect on the page: ${failures.join(
+              " | "
+            )}. The screenshot was taken just now. Choose a different element for it, or another action that moves towards the goal.`,
+            image: base64Image,
+            stream: false,
+            tabId: INSPECTED_TAB_ID,
+            history: conversationHistory,
+            requestId,
+            relayActions: false,
+            format: buildActionSchema(),
+            ...getGenerationSettings(true),
+          },
+          (resp) => {
+            if (requestId !== activeRequestId || !isAutomationRunning) return;
+            setActiveRequest(null);
+            const next = resp?.result?.command;
+            if (
+              resp?.status !== "ok" ||
+              !next?.action ||
+              ["done", "answer", "error"].includes(next.action)
+            ) {
+              giveUp();
+              return;
+            }
+            logToUI("Second opinion", next);
+            executeStepAction(next, failures);
+          }
+        );
+      });
+    },
+    withMarks
+  );
+}
+
+// Builds the SEND_TO_TAB payload for a command aimed at one target: index and
+// selector targets go through the AUTOMATE_ACTION handler in content.js,
+// coordinates through EXECUTE_COORDINATE_ACTION.
+function buildActionPayload(command, target) {
+  // drag_and_drop names a second element to drop onto
+  const dropTarget =
+    stepUsesMarks && Number.isInteger(command.target_mark)
+      ? { target_index: command.target_mark }
+      : {
+          target_index: command.target_index,
+          target_selector: command.target_selector,
+        };
+  if (target.kind === "coordinates") {
+    const [ymin, xmin, ymax, xmax] = target.box_2d;
+    // Center point on the 0-1000 grid, as 0.0 - 1.0 floats for the page
+    return {
+      type: "EXECUTE_COORDINATE_ACTION",
+      action: command.action,
+      x: (xmin + xmax) / 2 / 1000,
+      y: (ymin + ymax) / 2 / 1000,
+      value: command.value ?? originalUserPrompt,
+      secret: command.secret,
+      target_index: dropTarget.target_index,
+      target_selector: dropTarget.target_selector,
+    };
+  }
+  const { box_2d, mark, index, selector, target_mark, ...rest } = command;
+  const targetFields =
+    target.kind === "index"
+      ? { index: target.index }
+      : target.kind === "selector"
+      ? { selector: target.selector }
+      : {};
+  return {
+    type: "AUTOMATE_ACTION",
+    command: { ...rest, ...dropTarget, ...targetFields },
+  };
+}
+
+// Sends one targeted action to the page. Calls back with (ok, message, data),
+// and not at all when the step was cancelled meanwhile.
+function runTargetedAction(command, target, callback) {
+  const payload = buildActionPayload(command, target);
+
+  // Use background helper to send to tab reliably
+  const requestId = createRequestId();
+  setActiveRequest(requestId);
+  chrome.runtime.sendMessage(
+    {
+      type: "SEND_TO_TAB",
+      tabId: getTargetTabId(),
+      panelTabId: INSPECTED_TAB_ID,
+      requestId,
+      payload,
+    },
+    (sendResp) => {
+      if (requestId !== activeRequestId) return;
+      setActiveRequest(null);
+      if (chrome.runtime.lastError) {
+        callback(
+          false,
+          "Error sending to background: " + chrome.runtime.lastError.message
+        );
+      } else if (["denied", "expired"].includes(sendResp?.status)) {
+        // Not a targeting problem, so no fallback to other targets
+        callback(false, sendResp.message, {
+          denied: true,
+          expired: sendResp.status === "expired",
+        });
+      } else if (!sendResp || sendResp.status !== "ok") {
+        callback(
+          false,
+          "Failed to deliver action: " + (sendResp?.message || "unknown")
+        );
+      } else {
+        // AUTOMATE_ACTION reports "ok", EXECUTE_COORDINATE_ACTION "success"
+        const pageResp = sendResp.response || {};
+        callback(
+          pageResp.status === "ok" || pageResp.status === "success",
+          pageResp.message || "OK",
+          pageResp.data || {}
+        );
+      }
+    }
+  );
+}
+
+// Runs a tab or navigation action in the background, which waits for the page
+// to load and re-attaches content.js before answering. A running automation
+// follows the tab the action leaves it on. Calls back like runTargetedAction.
+function runTabCommand(command, callback) {
+  const requestId = createRequestId();
+  setActiveRequest(requestId);
+  chrome.runtime.sendMessage(
+    {
+      type: "TAB_ACTION",
+      tabId: getTargetTabId(),
+      panelTabId: INSPECTED_TAB_ID,
+      action: command.action,
+      value: command.value,
+      requestId,
+    },
+    (resp) => {
+      if (requestId !== activeRequestId) return;
+      setActiveRequest(null);
+      if (chrome.runtime.lastError) {
+        callback(
+          false,
+          "Error sending to background: " + chrome.runtime.lastError.message
+        );
+      } else if (["denied", "expired"].includes(resp?.status)) {
+        callback(false, resp.message, {
+          denied: true,
+          expired: resp.status === "expired",
+        });
+      } else if (resp?.status !== "ok") {
+        callback(false, resp?.message || "No response from background");
+      } else {
+        if (isAutomationRunning) automationTabId = resp.tabId;
+        callback(
+          true,
+          `${resp.message}; now on "${resp.title}" (${resp.url})`,
+          {
+            url: resp.url,
+          }
+        );
+      }
+    }
+  );
+}
+
+// --- Manual targeting ---
+// The latest screenshot is shown under the controls. Clicking it picks a
+// point, dragging picks a box; the chosen action then runs at its center. The
+// correction can be added to the history as a hint for the model's next step.
+let screenshotSelection = null; // box_2d on the 0-1000 grid
+let screenshotDragStart = null;
+
+function showScreenshot(base64Image) {
+  screenshotImage.src = `data:image/jpeg;base64,${base64Image}`;
+  screenshotContainer.style.display = "block";
+  clearScreenshotSelection();
+}
+
+function clearScreenshotSelection() {
+  screenshotSelection = null;
+  screenshotSelectionEl.style.display = "none";
+  runManualActionBtn.disabled = true;
+}
+
+// Position of a mouse event on the image, on the 0-1000 grid
+function getScreenshotPoint(event) {
+  const rect = screenshotImage.getBoundingClientRect();
+  const clamp = (v) => Math.min(1000, Math.max(0, Math.round(v)));
+  return {
+    x: clamp(((event.clientX - rect.left) / rect.width) * 1000),
+    y: clamp(((event.clientY - rect.top) / rect.height) * 1000),
+  };
+}
+
+function drawScreenshotSelection([ymin, xmin, ymax, xmax]) {
+  Object.assign(screenshotSelectionEl.style, {
+    display: "block",
+    left: `${xmin / 10}%`,
+    top: `${ymin / 10}%`,
+    width: `${Math.max(xmax - xmin, 4) / 10}%`,
+    height: `${Math.max(ymax - ymin, 4) / 10}%`,
+  });
+}
+
+function boxFromPoints(a, b) {
+  return [
+    Math.min(a.y, b.y),
+    Math.min(a.x, b.x),
+    Math.max(a.y, b.y),
+    Math.max(a.x, b.x),
+  ];
+}
+
+function runManualAction() {
+  if (!screenshotSelection || !chrome.runtime?.id) return;
+  const box_2d = screenshotSelection;
+  const command = { action: manualActionSel.value };
+  if (manualValueEl.value) command.value = manualValueEl.value;
+  const where = describeTarget({ kind: "coordinates", box_2d });
+  runManualActionBtn.disabled = true;
+  logStatus(`Running ${command.action} at ${where}...`);
+
+  // Sent outside activeRequestId so a running automation step is not dropped
+  chrome.runtime.sendMessage(
+    {
+      type: "SEND_TO_TAB",
+      tabId: INSPECTED_TAB_ID,
+      requestId: createRequestId(),
+      payload: buildActionPayload(
+        { ...command, value: command.value ?? "" },
+        { kind: "coordinates", box_2d }
+      ),
+    },
+    (sendResp) => {
+      runManualActionBtn.disabled = !screenshotSelection;
+      const pageResp = sendResp?.response || {};
+      const ok =
+        sendResp?.status === "ok" &&
+        (pageResp.status === "ok" || pageResp.status === "success");
+      const message = chrome.runtime.lastError
+        ? chrome.runtime.lastError.message
+        : pageResp.message || sendResp?.message || "No response";
+      logStatus(`Manual ${command.action} at ${where}: ${message}`, !ok);
+      if (ok && manualHintChk.checked) {
+        const value =
+          command.value !== undefined ? ` with value "${command.value}"` : "";
+        pushHistory({
+          role: "user",
+          content: `Hint from the user: I performed "${
+            command.action
+          }"${value} myself on the element at box_2d [${box_2d.join(
+            ", "
+          )}] (${message}). Take this into account for the next step.`,
+        });
+      }
+    }
+  );
+}
+
+// --- Macros ---
+// Successful automation runs can be saved as macros: the executed steps with
+// the selectors content.js resolved for them. Typed and selected values become
+// {{parameters}}. A replay runs the steps without the model and only asks it
+// for help with a step whose target no longer resolves. Macros are stored in
+// chrome.storage.local as `automationMacros`.
+const MACROS_KEY = "automationMacros";
+// Actions that only read the page are left out of recordings
+const UNRECORDED_ACTIONS = ["get_text", "get_value", "done", "answer"];
+
+let macros = [];
+let recordedSteps = []; // Steps of the current model-driven run
+// { macro, params, index, fallback, fallbackValue, fallbackSecret } while
+// replaying
+let macroReplay = null;
+
+function recordStep(command, target, data = {}) {
+  if (macroReplay || UNRECORDED_ACTIONS.includes(command.action)) return;
+  const step = {
+    action: command.action,
+    url: sessionPage?.url || "",
+    // Accessible name of the element, used to name the step's parameter
+    label:
+      target.kind === "index"
+        ? currentElementMap?.elements[target.index]?.name || ""
+        : "",
+  };
+  // Untargeted key presses went to the focused element; replay them there
+  if (
+    data.selector &&
+    (target.kind !== "page" || command.action === "press_key")
+  ) {
+    step.selector = data.selector;
+  }
+  if (command.value !== undefined && command.value !== null) {
+    step.value = String(command.value);
+  }
+  if (data.dropSelector) step.target_selector = data.dropSelector;
+  // Typing into a password field reports a masked value
+  if (data.value === "••••") step.secret = true;
+  recordedSteps.push(step);
+}
+
+function createMacroId() {
+  return `macro-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function toParamName(text, fallback) {
+  const slug = (text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 30);
+  return slug || fallback;
+}
+
+// Turns recorded steps into a macro, replacing typed and selected values with
+// parameters that default to the recorded value (passwords get no default).
+function buildMacro(name, steps) {
+  const params = [];
+  const macroSteps = steps.map((step) => {
+    const { label, secret, ...rest } = step;
+    if (!["type", "select_option"].includes(step.action)) return rest;
+    let paramName = toParamName(label, `value_${params.length + 1}`);
+    while (params.some((p) => p.name === paramName)) {
+      paramName = `${paramName}_${params.length + 1}`;
+    }
+    params.push({
+      name: paramName,
+      default: secret ? "" : step.value,
+      secret: !!secret,
+    });
+    return { ...rest, value: `{{${paramName}}}` };
+  });
+  return {
+    id: createMacroId(),
+    name,
+    origin: sessionPage?.origin || "",
+    startUrl: steps[0]?.url || sessionPage?.url || "",
+    createdAt: Date.now(),
+    params,
+    steps: macroSteps,
+  };
+}
+
+function loadMacros(callback) {
+  chrome.storage.local.get(MACROS_KEY, (data) => {
+    macros = data[MACROS_KEY] || [];
+    renderMacros();
+    if (callback) callback();
+  });
+}
+
+function saveMacros(callback) {
+  chrome.storage.local.set({ [MACROS_KEY]: macros }, () => {
+    if (chrome.runtime.lastError) {
+      logStatus(
+        `Error saving macros: ${chrome.runtime.lastError.message}`,
+        true
+      );
+      return;
+    }
+    renderMacros();
+    if (callback) callback();
+  });
+}
+
+function renderMacros() {
+  const selected = macroPickerSel.value;
+  macroPickerSel.innerHTML = "";
+  if (macros.length === 0) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "No saved macros";
+    macroPickerSel.appendChild(option);
+  }
+  macros.forEach((macro) => {
+    const option = document.createElement("option");
+    option.value = macro.id;
+    option.textContent = `${macro.name} (${macro.steps.length} steps, ${macro.origin})`;
+    macroPickerSel.appendChild(option);
+  });
+  if (macros.some((m) => m.id === selected)) macroPickerSel.value = selected;
+  runMacroBtn.disabled = macros.length === 0;
+  deleteMacroBtn.disabled = macros.length === 0;
+}
+
+// Shown after a run reached its goal: name the recorded steps and save them.
+function offerMacroSave() {
+  if (recordedSteps.length === 0) return;
+  const steps = recordedSteps;
+  const row = document.createElement("div");
+  row.className = "row";
+  const nameEl = document.createElement("input");
+  nameEl.placeholder = "Macro name";
+  nameEl.value = originalUserPrompt.substring(0, 40);
+  nameEl.style.flexGrow = "1";
+  const saveBtn = document.createElement("button");
+  saveBtn.textContent = `Save ${steps.length} steps as macro`;
+  saveBtn.addEventListener("click", () => {
+    const macro = buildMacro(nameEl.value.trim() || "Untitled macro", steps);
+    macros.push(macro);
+    saveMacros(() => {
+      macroPickerSel.value = macro.id;
+      row.remove();
+      logStatus(
+        `Saved macro "${macro.name}"${
+          macro.params.length
+            ? ` with parameters: ${macro.params.map((p) => p.name).join(", ")}`
+            : ""
+        }.`
+      );
+    });
+  });
+  row.appendChild(nameEl);
+  row.appendChild(saveBtn);
+  resultDiv.appendChild(row);
+  resultDiv.scrollTop = resultDiv.scrollHeight;
+}
+
+// Asks for parameter values (prefilled with the recorded ones), then replays.
+function promptMacroParams(macro) {
+  if (macro.params.length === 0) {
+    startMacroReplay(macro, {});
+    return;
+  }
+  resultDiv.innerHTML = "";
+  const form = document.createElement("div");
+  form.className = "automation-step";
+  const title = document.createElement("div");
+  title.className = "automation-step-title";
+  title.textContent = `Parameters for "${macro.name}"`;
+  form.appendChild(title);
+  const inputs = {};
+  macro.params.forEach((param) => {
+    const row = document.createElement("div");
+    row.className = "row";
+    const label = document.createElement("label");
+    label.textContent = param.name;
+    label.style.alignSelf = "center";
+    const input = document.createElement("input");
+    input.type = param.secret ? "password" : "text";
+    input.value = param.default || "";
+    input.style.flexGrow = "1";
+    inputs[param.name] = input;
+    row.appendChild(label);
+    row.appendChild(input);
+    form.appendChild(row);
+  });
+  const startBtn = document.createElement("button");
+  startBtn.textContent = "Run macro";
+  startBtn.addEventListener("click", () => {
+    const params = {};
+    Object.entries(inputs).forEach(([name, input]) => {
+      params[name] = input.value;
+    });
+    startMacroReplay(macro, params);
+  });
+  form.appendChild(startBtn);
+  resultDiv.appendChild(form);
+}
+
+function fillMacroParams(value, params) {
+  return value.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    name in params ? params[name] : match
+  );
+}
+
+function describeMacroStep(step) {
+  const value =
+    step.value !== undefined
+      ? ` "${step.secret ? "••••" : step.value.substring(0, 40)}"`
+      : "";
+  return `${step.action}${value}${step.selector ? ` on ${step.selector}` : ""}`;
+}
+
+function startMacroReplay(macro, params) {
+  if (isAutomationRunning) return;
+  isAutomationRunning = true;
+  automationStep = 0;
+  automationTabId = INSPECTED_TAB_ID;
+  recordedSteps = [];
+  macroReplay = { macro, params, index: 0, fallback: false };
+  automationModel = getVisionModel(); // For steps the model has to take over
+  originalUserPrompt = `Replay macro "${macro.name}"`;
+  resetHistory();
+  resultDiv.innerHTML = "";
+  askBtn.disabled = true;
+  askWithScreenshotBtn.textContent = "Stop Automation";
+  logStatus(`Replaying macro "${macro.name}"...`);
+
+  getInspectedPage((page) => {
+    if (!isAutomationRunning) return;
+    if (!macro.startUrl || page?.url === macro.startUrl) {
+      runMacroStep();
+      return;
+    }
+    // Start where the recording started
+    logStatus(`Opening ${macro.startUrl}...`);
+    runTabCommand(
+      { action: "navigate", value: macro.startUrl },
+      (ok, message) => {
+        if (!ok) {
+          finishAutomation(`Could not open the start page: ${message}`, true);
           return;
         }
+        runMacroStep();
+      }
+    );
+  });
+}
 
-        const base64Image = dataUrl.split(",")[1];
+function runMacroStep() {
+  if (!isAutomationRunning || !macroReplay) return;
+  const { macro, params, index } = macroReplay;
+  if (index >= macro.steps.length) {
+    finishAutomation(`Macro "${macro.name}" finished.`);
+    return;
+  }
+  const step = macro.steps[index];
+  const command = { ...step };
+  if (typeof command.value === "string") {
+    command.value = fillMacroParams(command.value, params);
+  }
+  const target = step.selector
+    ? { kind: "selector", selector: step.selector }
+    : { kind: "page" };
 
-        // 2. Send Image to LLaVA
-        const visionPrompt = `
-You are a web automation agent. You are looking at a screenshot of a web page.
+  beginStepTimeline(
+    index + 1,
+    `Macro step ${index + 1} of ${macro.steps.length}`
+  );
+  logStatus(describeMacroStep(step));
+  const onResult = (ok, message, data) => {
+    if (ok) {
+      logStatus(message);
+      endStepTimeline(false);
+      macroReplay.index++;
+      attachAutomationTab(runMacroStep);
+    } else if (data?.denied) {
+      finishAutomation(`${message} Macro stopped.`, true);
+    } else {
+      logStatus(`${message}. Asking the model to perform this step...`, true);
+      endStepTimeline(true);
+      runMacroFallback(step);
+    }
+  };
+  if (TAB_ACTIONS.includes(command.action)) {
+    runTabCommand(command, onResult);
+  } else {
+    runTargetedAction(command, target, onResult);
+  }
+}
 
-User's Goal: "${originalUserPrompt}"
+// Hands one failed step to the model: the vision loop runs with the step as its
+// goal, and the replay resumes with the next step once an action succeeds.
+function runMacroFallback(step) {
+  automationStep = 0;
+  const value =
+    step.value !== undefined
+      ? fillMacroParams(step.value, macroReplay.params)
+      : undefined;
+  macroReplay.fallback = true;
+  // Secrets are not put in the prompt; the value is filled in when the model
+  // picks the element (see executeStepAction)
+  macroReplay.fallbackValue = value;
+  macroReplay.fallbackSecret = !!step.secret;
+  const shown = step.secret ? "the stored secret" : `"${value}"`;
+  originalUserPrompt = `Perform this single step of the macro "${
+    macroReplay.macro.name
+  }": ${step.action}${value !== undefined ? ` ${shown}` : ""}${
+    step.selector ? ` on the element that used to match ${step.selector}` : ""
+  }. Return "done" if it is already done.`;
+  runAutomationLoop();
+}
 
-Task: Identify the specific UI element (button, link, input) that the user needs to interact with to achieve their goal.
+function resumeMacroReplay() {
+  macroReplay.fallback = false;
+  macroReplay.fallbackValue = undefined;
+  macroReplay.fallbackSecret = false;
+  macroReplay.index++;
+  attachAutomationTab(runMacroStep);
+}
 
-Output Format:
-Return a JSON object containing the coordinates of the element.
-Use a 1000x1000 coordinate system (where 0,0 is top-left and 1000,1000 is bottom-right).
+// --- Tool calling ---
+// For models whose capabilities include tools, Ask can hand the model the page
+// actions below as Ollama `tools`. Each reply's tool_calls run in the tab, the
+// results go back as role "tool" messages, and the model is asked again until
+// it answers without calling a tool (or the step budget runs out).
+const elementParams = {
+  index: {
+    type: "integer",
+    description: "Index of the element in the element map (read_element_map)",
+  },
+  selector: {
+    type: "string",
+    description: "CSS selector of the element, when it has no index",
+  },
+};
+const PAGE_TOOLS = [
+  {
+    name: "read_element_map",
+    description:
+      "List the interactive elements of the page with their index, role, name and value.",
+    parameters: { type: "object", properties: {} },
+  },
+  {
+    name: "screenshot",
+    description: "Capture the visible part of the page as an image.",
+    parameters: { type: "object", properties: {} },
+  },
+  {
+    name: "click",
+    description: "Click an element.",
+    parameters: { type: "object", properties: elementParams },
+  },
+  {
+    name: "type",
+    description: "Replace the text of an input, textarea or editor.",
+    parameters: {
+      type: "object",
+      properties: {
+        ...elementParams,
+        text: { type: "string", description: "Text to type" },
+      },
+      required: ["text"],
+    },
+  },
+  {
+    name: "press_key",
+    description:
+      'Press a key or shortcut, e.g. "Enter" or "Control+a", on an element or the focused one.',
+    parameters: {
+      type: "object",
+      properties: {
+        ...elementParams,
+        key: { type: "string", description: "Key to press" },
+      },
+      required: ["key"],
+    },
+  },
+  {
+    name: "get_text",
+    description: "Read the text of an element.",
+    parameters: { type: "object", properties: elementParams },
+  },
+  {
+    name: "scroll",
+    description:
+      "Scroll an element into view, or the page to a vertical position in pixels.",
+    parameters: {
+      type: "object",
+      properties: {
+        ...elementParams,
+        top: { type: "integer", description: "Page position in pixels" },
+      },
+    },
+  },
+  {
+    name: "navigate",
+    description: "Open a URL in the tab.",
+    parameters: {
+      type: "object",
+      properties: { url: { type: "string", description: "Absolute URL" } },
+      required: ["url"],
+    },
+  },
+].map((fn) => ({ type: "function", function: fn }));
 
-Response Schema:
-{
-  "action": "click" | "type",
-  "box_2d": [ymin, xmin, ymax, xmax], 
-  "reason": "Brief explanation of why you chose this element"
+let toolAgentRun = null; // { steps } while the tool-calling agent runs
+
+function modelSupportsTools(model) {
+  return !!modelCapabilities[model]?.tools;
 }
 
-Example:
-{"action": "click", "box_2d": [10, 10, 50, 200], "reason": "This is the search bar"}
+// The screenshot tool is only offered to models that can see the image
+function getPageTools(model) {
+  if (modelCapabilities[model]?.vision) return PAGE_TOOLS;
+  return PAGE_TOOLS.filter((tool) => tool.function.name !== "screenshot");
+}
 
-🚫 STRICT CONSTRAINTS:
-- Do NOT return CSS selectors.
-- Return ONLY the JSON object.
-`;
+function updateToolsOption() {
+  const supported = modelSupportsTools(modelSel.value);
+  useToolsChk.disabled = !supported;
+  if (!supported) useToolsChk.checked = false;
+}
 
-        if (!chrome.runtime?.id) return;
-        chrome.runtime.sendMessage(
-          {
-            type: "ASK_OLLAMA",
-            model: modelSel.value,
-            prompt: visionPrompt,
-            image: base64Image,
-            stream: false,
-            tabId: INSPECTED_TAB_ID,
-            history: conversationHistory,
-          },
-          (resp) => {
-            if (!resp || resp.status === "error") {
-              logStatus(
-                `AI failed: ${resp?.message || "No response"}. Stopping.`,
-                true
-              );
-              isAutomationRunning = false;
-              return;
-            }
+function runToolAgent(prompt) {
+  const run = { steps: 0 };
+  toolAgentRun = run;
+  appendMessage("user", prompt);
+  pushHistory({ role: "user", content: prompt });
+  askWithTools(run);
+}
 
-            // 3. Handle Response & Execute
-            try {
-              // 1. Parse the JSON from LLaVA
-              const rawText = resp.result?.response ?? "";
-              const cleanText = rawText.replace(/```json|```/g, "").trim();
+function finishToolAgent(message, isError = false) {
+  toolAgentRun = null;
+  setActiveRequest(null);
+  if (message) logStatus(message, isError);
+}
 
-              // Add a check to ensure we aren't parsing a status message
-              if (cleanText.startsWith("Action initiated")) {
-                // ignore self-generated status messages
-                return;
-              }
+function askWithTools(run) {
+  if (run !== toolAgentRun || !chrome.runtime?.id) return;
+  if (run.steps >= getMaxSteps()) {
+    finishToolAgent(
+      `Step budget of ${getMaxSteps()} reached without an answer. Stopping.`,
+      true
+    );
+    return;
+  }
+  run.steps++;
+  // Only the latest screenshot is sent again
+  const lastImageTurn = conversationHistory
+    .map((t) => !!t.images)
+    .lastIndexOf(true);
+  const history = conversationHistory.map((turn, i) =>
+    turn.images && i !== lastImageTurn ? { ...turn, images: undefined } : turn
+  );
+  const requestId = createRequestId();
+  setActiveRequest(requestId);
+  chrome.runtime.sendMessage(
+    {
+      type: "ASK_OLLAMA",
+      model: modelSel.value,
+      stream: false,
+      tabId: INSPECTED_TAB_ID,
+      history,
+      requestId,
+      relayActions: false,
+      tools: getPageTools(modelSel.value),
+      ...getGenerationSettings(),
+    },
+    (resp) => {
+      if (!chrome.runtime?.id) return;
+      if (requestId !== activeRequestId || run !== toolAgentRun) return;
+      setActiveRequest(null);
+      if (resp?.status === "cancelled") return;
+      if (!resp || resp.status === "error") {
+        finishToolAgent(
+          `Error: ${resp?.message || "No response from background."}`,
+          true
+        );
+        return;
+      }
+      const message = resp.result.message || {
+        content: resp.result.response,
+      };
+      const toolCalls = message.tool_calls || [];
+      pushHistory({
+        role: "assistant",
+        content: message.content || "",
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+      });
+      if (toolCalls.length === 0) {
+        appendMessage("assistant", message.content || "(empty answer)");
+        finishToolAgent();
+        return;
+      }
+      runToolCalls(run, toolCalls, 0);
+    }
+  );
+}
 
-              let aiData;
-              try {
-                aiData = JSON.parse(cleanText);
-              } catch (e) {
-                // include the raw cleaned text to make debugging clear
-                logStatus(
-                  "Failed to parse AI response: " +
-                    e.message +
-                    " | Raw: " +
-                    cleanText,
-                  true
-                );
-                return;
-              }
+function runToolCalls(run, toolCalls, i) {
+  if (run !== toolAgentRun) return;
+  if (i >= toolCalls.length) {
+    askWithTools(run);
+    return;
+  }
+  const { name, arguments: rawArgs } = toolCalls[i].function;
+  let args = rawArgs || {};
+  if (typeof args === "string") {
+    try {
+      args = JSON.parse(args);
+    } catch (e) {
+      args = {};
+    }
+  }
+  logStatus(`🛠 ${name}(${JSON.stringify(args)})`);
+  executeTool(name, args, (content, image, expired) => {
+    if (run !== toolAgentRun) return;
+    if (expired) {
+      finishToolAgent(`${content} Stopping.`, true);
+      return;
+    }
+    logStatus(`→ ${content.substring(0, 200)}`);
+    pushHistory({
+      role: "tool",
+      tool_name: name,
+      content,
+      ...(image ? { images: [image] } : {}),
+    });
+    runToolCalls(run, toolCalls, i + 1);
+  });
+}
 
-              console.log("[DEBUG] Parsed AI Data:", aiData);
+// Runs one tool call and calls back with the result text (and an image for
+// screenshots). Failures are reported to the model as results, not thrown;
+// the third argument is set when an approval expired and the run must stop.
+function executeTool(name, args, callback) {
+  const hasIndex = Number.isInteger(args.index);
+  const target = hasIndex
+    ? { kind: "index", index: args.index }
+    : args.selector
+    ? { kind: "selector", selector: args.selector }
+    : { kind: "page" };
+  const runAction = (command, actionTarget = target) =>
+    runTargetedAction(command, actionTarget, (ok, message, data) =>
+      callback(ok ? message : `Error: ${message}`, null, data?.expired)
+    );
 
-              // 2. Check if we have Coordinates (Vision Approach)
-              if (aiData.box_2d && aiData.box_2d.length === 4) {
-                const [ymin, xmin, ymax, xmax] = aiData.box_2d;
+  switch (name) {
+    case "read_element_map":
+      getElementMap({ max: 150 }, (map, error) => {
+        currentElementMap = map;
+        callback(map ? formatElementMap(map) : `Error: ${error}`);
+      });
+      return;
+    case "screenshot":
+      captureInspectedTab((base64Image, error) => {
+        if (!base64Image) {
+          callback(`Error: ${error}`);
+          return;
+        }
+        showScreenshot(base64Image);
+        callback("Screenshot of the visible page attached.", base64Image);
+      });
+      return;
+    case "navigate":
+      runTabCommand(
+        { action: "navigate", value: args.url },
+        (ok, message, data) =>
+          callback(ok ? message : `Error: ${message}`, null, data?.expired)
+      );
+      return;
+    case "scroll":
+      if (target.kind === "page") {
+        runAction({ action: "scroll", value: args.top ?? 500 });
+      } else {
+        runAction({ action: "scroll_to_element" });
+      }
+      return;
+    case "press_key":
+      runAction({ action: "press_key", value: args.key });
+      return;
+    case "click":
+    case "type":
+    case "get_text":
+      if (target.kind === "page") {
+        callback(`Error: ${name} needs an index or a selector.`);
+        return;
+      }
+      runAction(
+        name === "type"
+          ? { action: "type", value: args.text }
+          : { action: name }
+      );
+      return;
+    default:
+      callback(`Error: unknown tool "${name}".`);
+  }
+}
 
-                // Calculate the center point (normalized 0-1000 scale)
-                const centerX = (xmin + xmax) / 2;
-                const centerY = (ymin + ymax) / 2;
+// --- Action approval ---
+// Approval cards for actions the background's policy held back, keyed by
+// approvalId so a cancelled request can close its card.
+const approvalCards = new Map();
 
-                // Convert to 0.0 - 1.0 float for the content script
-                const normalizedX = centerX / 1000;
-                const normalizedY = centerY / 1000;
+const APPROVAL_LEVEL_LABELS = {
+  submit: "Form submit",
+  navigate: "Navigation",
+  destructive: "Destructive",
+};
 
-                logStatus(
-                  `AI targeted coordinates: X=${normalizedX.toFixed(
-                    2
-                  )}, Y=${normalizedY.toFixed(2)}`
-                );
+function describeApprovalTarget(target) {
+  if (!target) return "no element resolved";
+  const name = target.name || target.text;
+  return `${target.role} <${target.tag}>${name ? ` "${name}"` : ""}`;
+}
 
-                // Use background helper to send to tab reliably
-                chrome.runtime.sendMessage(
-                  {
-                    type: "SEND_TO_TAB",
-                    tabId: INSPECTED_TAB_ID,
-                    payload: {
-                      type: "EXECUTE_COORDINATE_ACTION",
-                      action: aiData.action || "click",
-                      x: normalizedX,
-                      y: normalizedY,
-                      value: originalUserPrompt,
-                    },
-                  },
-                  (sendResp) => {
-                    if (chrome.runtime.lastError) {
-                      logStatus(
-                        "Error sending to background: " +
-                          chrome.runtime.lastError.message,
-                        true
-                      );
-                    } else if (!sendResp || sendResp.status === "error") {
-                      logStatus(
-                        "Failed to deliver coordinate action: " +
-                          (sendResp?.message || "unknown"),
-                        true
-                      );
-                    } else {
-                      logStatus(
-                        "Coordinate action forwarded to page: " +
-                          (sendResp.message || "OK")
-                      );
-                    }
-                  }
-                );
-              }
-              // 3. Fallback: Check if we have a Selector (HTML Approach)
-              else if (aiData.selector) {
-                // ... your old selector logic here ...
-                logStatus(
-                  "AI returned a selector, but this mode is not supported yet.",
-                  true
-                );
-              } else {
-                logStatus(
-                  "Error: AI did not return valid coordinates or selector.",
-                  true
-                );
-              }
-            } catch (e) {
-              logStatus("Failed to parse AI response: " + e.message, true);
-            }
-          }
-        );
-      }
-    );
+function showApprovalRequest(msg) {
+  const card = document.createElement("div");
+  card.className = `approval-card approval-${msg.level}`;
+
+  const title = document.createElement("div");
+  title.className = "approval-title";
+  const value = msg.command.secret
+    ? ' "••••"'
+    : msg.command.value !== undefined && msg.command.value !== null
+    ? ` "${String(msg.command.value).substring(0, 60)}"`
+    : "";
+  title.textContent = `Approve ${msg.command.action}${value}? (${
+    APPROVAL_LEVEL_LABELS[msg.level] || msg.level
+  })`;
+  card.appendChild(title);
+
+  const details = document.createElement("div");
+  details.textContent = `${msg.reason}. Target: ${
+    msg.tabTitle ? `tab "${msg.tabTitle}"` : describeApprovalTarget(msg.target)
+  } on ${msg.origin || "this page"}.`;
+  card.appendChild(details);
+
+  const buttons = document.createElement("div");
+  buttons.className = "row";
+  const decide = (decision, label) => {
+    chrome.runtime.sendMessage({
+      type: "APPROVAL_DECISION",
+      approvalId: msg.approvalId,
+      decision,
+    });
+    closeApprovalCard(msg.approvalId, label);
+  };
+  [
+    ["Allow", "allow", "Allowed."],
+    [
+      "Always allow on this site",
+      "always",
+      `Allowed; ${msg.origin} will not ask again for this kind of action.`,
+    ],
+    ["Deny", "deny", "Denied."],
+  ].forEach(([text, decision, label]) => {
+    const btn = document.createElement("button");
+    btn.textContent = text;
+    if (decision === "always") {
+      btn.title = `Skip approval for ${(
+        APPROVAL_LEVEL_LABELS[msg.level] || msg.level
+      ).toLowerCase()} actions on ${msg.origin}`;
+    }
+    btn.addEventListener("click", () => decide(decision, label));
+    buttons.appendChild(btn);
   });
+  card.appendChild(buttons);
+
+  // The target is outlined on the page; show it here too
+  const preview = document.createElement("img");
+  preview.className = "approval-preview";
+  preview.alt = "Highlighted target";
+  captureInspectedTab((base64) => {
+    if (base64) {
+      preview.src = `data:image/jpeg;base64,${base64}`;
+      card.insertBefore(preview, details.nextSibling);
+    }
+  });
+
+  approvalCards.set(msg.approvalId, { card, buttons });
+  (currentStepEl || resultDiv).appendChild(card);
+  resultDiv.scrollTop = resultDiv.scrollHeight;
+}
+
+function closeApprovalCard(approvalId, outcome) {
+  const entry = approvalCards.get(approvalId);
+  if (!entry) return;
+  approvalCards.delete(approvalId);
+  entry.buttons.remove();
+  entry.card.classList.add("approval-closed");
+  const status = document.createElement("div");
+  status.className = "message-status";
+  status.textContent = outcome;
+  entry.card.appendChild(status);
 }
 
 // --- Event Listeners ---
 function setupEventListeners() {
-  usePageBtn.addEventListener("click", async () => {
-    getPageContextEval((context) => {
-      if (!context) {
-        promptEl.value = "";
-        resultDiv.textContent = "Failed to get page context.";
-        return;
-      }
-      const pre = `Page title: ${context.title}\nURL: ${context.url}\n\n${context.text}\n\nQuestion: `;
-      promptEl.value = pre;
-      resultDiv.textContent = "Page context loaded.";
-    });
+  usePageBtn.addEventListener("click", () => {
+    if (activeRequestId || isAutomationRunning) return;
+    loadPageContext();
+  });
+  pickElementBtn.addEventListener("click", togglePicker);
+  useInspectedBtn.addEventListener("click", useInspectedElement);
+  useSelectionBtn.addEventListener("click", () => {
+    if (activeRequestId || isAutomationRunning) return;
+    loadPageContext("selection", false);
+  });
+  clearFocusBtn.addEventListener("click", clearElementFocus);
+  indexPagesChk.addEventListener("change", () => {
+    chrome.storage.local.set({ indexPages: indexPagesChk.checked });
+  });
+  embedModelSel.addEventListener("change", () => {
+    preferredEmbedModel = embedModelSel.value;
+    chrome.storage.local.set({ indexEmbedModel: preferredEmbedModel });
+  });
+  searchPagesChk.addEventListener("change", () => {
+    chrome.storage.local.set({ searchPages: searchPagesChk.checked });
+  });
+  indexThisPageBtn.addEventListener("click", indexInspectedPage);
+  refreshTabsBtn.addEventListener("click", renderTabList);
+  useTabsBtn.addEventListener("click", () => {
+    if (activeRequestId || isAutomationRunning) return;
+    loadTabsContext();
+  });
+  document.getElementById("tabContext").addEventListener("toggle", (e) => {
+    if (e.target.open) renderTabList();
+  });
+  clearIndexBtn.addEventListener("click", clearPageIndex);
+  document.getElementById("pageIndex").addEventListener("toggle", (e) => {
+    if (e.target.open) refreshIndexStats();
+  });
+  promptEl.addEventListener("input", updateBudgetMeter);
+  document
+    .getElementById("generationOptions")
+    .addEventListener("input", updateBudgetMeter);
+  contextModeSel.addEventListener("change", () => {
+    chrome.storage.local.set({ pageContextMode: contextModeSel.value });
+  });
+  contextFitSel.addEventListener("change", () => {
+    chrome.storage.local.set({ pageContextFit: contextFitSel.value });
   });
 
   refreshModelsBtn.addEventListener("click", loadModels);
 
+  profileSel.addEventListener("change", () => {
+    activeProfileId = profileSel.value;
+    saveProfiles(() => {
+      renderProfiles();
+      loadModels();
+    });
+  });
+
+  newProfileBtn.addEventListener("click", () => {
+    const profile = {
+      id: createProfileId(),
+      name: "New server",
+      baseUrl: DEFAULT_PROFILE_URL,
+      apiKey: "",
+      defaultModel: "",
+    };
+    profiles.push(profile);
+    activeProfileId = profile.id;
+    saveProfiles(() => {
+      renderProfiles();
+      profileNameEl.focus();
+      profileNameEl.select();
+    });
+  });
+
+  deleteProfileBtn.addEventListener("click", () => {
+    if (profiles.length <= 1) return;
+    profiles = profiles.filter((profile) => profile.id !== activeProfileId);
+    activeProfileId = profiles[0].id;
+    saveProfiles(() => {
+      renderProfiles();
+      loadModels();
+    });
+  });
+
   saveApiKeyBtn.addEventListener("click", () => {
-    const key = apiKeyEl.value; // Don't trim, key might have spaces
-    chrome.storage.local.set({ ollamaApiKey: key }, () => {
-      if (chrome.runtime.lastError) {
-        resultDiv.textContent = `Error saving API key: ${chrome.runtime.lastError.message}`;
-      } else {
-        resultDiv.textContent = "API key saved successfully.";
-        // Reload models to verify the key
-        loadModels();
-      }
+    const form = readProfileForm();
+    const error = getServerUrlError(form.baseUrl);
+    if (error) {
+      resultDiv.textContent = `Error saving profile: ${error}`;
+      return;
+    }
+    const profile = getActiveProfile();
+    Object.assign(profile, form);
+    saveProfiles(() => {
+      renderProfiles();
+      resultDiv.textContent = `Profile "${profile.name}" saved.`;
+      // Reload models to verify the server and key
+      loadModels();
     });
   });
 
+  testConnectionBtn.addEventListener("click", () => {
+    const form = readProfileForm();
+    const error = getServerUrlError(form.baseUrl);
+    if (error) {
+      resultDiv.textContent = `Connection test failed: ${error}`;
+      return;
+    }
+    resultDiv.textContent = `Testing ${form.baseUrl}...`;
+    chrome.runtime.sendMessage(
+      { type: "TEST_CONNECTION", baseUrl: form.baseUrl, apiKey: form.apiKey },
+      (resp) => {
+        if (!chrome.runtime?.id) return;
+        if (!resp || resp.status === "error") {
+          resultDiv.textContent = `Connection test failed: ${
+            resp?.message || "No response from background."
+          }`;
+          return;
+        }
+        resultDiv.textContent = `Connected to Ollama ${resp.version} at ${form.baseUrl} (${resp.modelCount} models installed).`;
+      }
+    );
+  });
+
   askBtn.addEventListener("click", async () => {
+    // While a request is running the Ask button doubles as Cancel
+    if (activeRequestId || toolAgentRun) {
+      cancelActiveRequest();
+      if (toolAgentRun) finishToolAgent("Stopped.");
+      return;
+    }
     const prompt = promptEl.value.trim();
     if (!prompt) {
       resultDiv.textContent = "Write a prompt first.";
       return;
     }
-    resultDiv.textContent = "Waiting for response...";
+    if (useToolsChk.checked && modelSupportsTools(modelSel.value)) {
+      runToolAgent(prompt);
+      return;
+    }
     const model = modelSel.value;
     const stream = streamChk.checked;
+    // The element crop goes with this question only
+    const image =
+      modelCapabilities[model]?.vision === false ? null : focusImage;
+    if (focusImage && !image) {
+      logStatus(`${model} does not accept images; sending the markup only.`);
+    }
+    clearElementFocus();
 
     if (!chrome.runtime?.id) return;
-    chrome.runtime.sendMessage(
-      {
-        type: "ASK_OLLAMA",
-        model,
-        prompt,
-        stream,
-        tabId: INSPECTED_TAB_ID,
-        history: conversationHistory,
-      },
-      (resp) => {
-        if (!chrome.runtime?.id) return;
-        if (!resp) {
-          resultDiv.textContent =
-            "No response from background. (Service worker may have crashed)";
-          return;
-        }
-        if (resp.status === "error") {
-          resultDiv.textContent = "Error: " + resp.message;
-          return;
-        }
-        if (stream) {
-          resultDiv.textContent = "";
-          // streaming chunks will arrive via chrome.runtime.onMessage
-        } else {
-          // non-stream response (might be action initiated message)
-          const text =
-            resp.result?.response ||
-            resp.result?.message ||
-            JSON.stringify(resp.result);
-          resultDiv.textContent = text;
-          // Add to history
-          conversationHistory.push({ role: "user", content: prompt });
-          conversationHistory.push({ role: "assistant", content: text });
+    appendMessage("user", prompt);
+    const replyEl = appendMessage("assistant");
+    replyEl.textContent = "Waiting for response...";
+    replyEl.classList.add("message-pending");
+    const requestId = createRequestId();
+    setActiveRequest(requestId);
+    if (stream) {
+      // Set up before sending: chunks may arrive ahead of the response
+      pendingStreamTurn = { prompt, text: "", replyEl, view: null };
+    }
+    // The model may get the prompt with retrieved excerpts; history keeps the
+    // question as typed.
+    const send = (modelPrompt) =>
+      chrome.runtime.sendMessage(
+        {
+          type: "ASK_OLLAMA",
+          model,
+          prompt: modelPrompt,
+          stream,
+          tabId: INSPECTED_TAB_ID,
+          history: conversationHistory,
+          image,
+          requestId,
+          ...getGenerationSettings(),
+        },
+        (resp) => {
+          if (!chrome.runtime?.id) return;
+          if (requestId !== activeRequestId) return; // Cancelled meanwhile
+          if (!stream || !resp || resp.status !== "ok") {
+            setActiveRequest(null);
+            pendingStreamTurn = null;
+          }
+          if (!resp || resp.status === "error") {
+            replyEl.classList.replace("message-pending", "message-error");
+            replyEl.textContent = resp
+              ? "Error: " + resp.message
+              : "No response from background. (Service worker may have crashed)";
+            return;
+          }
+          if (stream) {
+            // streaming chunks will arrive via chrome.runtime.onMessage
+          } else {
+            // non-stream response (might be action initiated message)
+            const text =
+              resp.result?.response ||
+              resp.result?.message ||
+              JSON.stringify(resp.result);
+            replyEl.classList.remove("message-pending");
+            replyEl.replaceChildren(renderMarkdown(text));
+            resultDiv.scrollTop = resultDiv.scrollHeight;
+            // Add to history
+            pushHistory(
+              { role: "user", content: prompt },
+              { role: "assistant", content: text }
+            );
+          }
         }
+      );
+
+    if (!searchPagesChk.checked) {
+      send(prompt);
+      return;
+    }
+    replyEl.textContent = "Searching your pages...";
+    searchMyPages(prompt, requestId, (retrieval, error) => {
+      if (requestId !== activeRequestId) return; // Cancelled meanwhile
+      if (!retrieval) {
+        setActiveRequest(null);
+        pendingStreamTurn = null;
+        replyEl.classList.replace("message-pending", "message-error");
+        replyEl.textContent = `Error: page search failed: ${error}`;
+        return;
       }
-    );
+      if (retrieval.sources.length === 0) {
+        logStatus("No indexed page matched; asking without excerpts.");
+      } else {
+        showSources(replyEl, retrieval.sources);
+      }
+      replyEl.textContent = "Waiting for response...";
+      send(retrieval.prompt);
+    });
   });
 
   askWithScreenshotBtn.addEventListener("click", async () => {
     if (isAutomationRunning) {
-      isAutomationRunning = false;
-      askBtn.disabled = false;
-      askWithScreenshotBtn.textContent = "Ask with Screenshot";
-      logStatus("Automation stopped by user.");
+      // Also aborts the pending vision call or tab action of the current step
+      finishAutomation("Automation stopped by user.");
       return;
     }
 
@@ -513,26 +3629,163 @@ function setupEventListeners() {
       return;
     }
 
-    const multimodalModel = Array.from(modelSel.options).find(
-      (opt) => opt.value.includes("llava") || opt.value.includes("bakllava")
-    );
-
-    if (!multimodalModel) {
+    automationModel = getVisionModel();
+    if (!automationModel) {
       resultDiv.textContent =
-        "Error: No multimodal model (like 'llava' or 'bakllava') found. Please pull one first.";
+        "Error: None of the installed models supports images. Pull a vision model (e.g. 'llava', 'llama3.2-vision' or 'qwen2.5vl') first.";
       return;
     }
 
     // Start the automation loop
     isAutomationRunning = true;
-    conversationHistory = []; // Reset history for a new task
+    automationStep = 0;
+    automationTabId = INSPECTED_TAB_ID;
+    recordedSteps = [];
+    resetHistory(); // Reset history for a new task
     resultDiv.innerHTML = ""; // Clear the log only when starting a new automation task
     askBtn.disabled = true;
     askWithScreenshotBtn.textContent = "Stop Automation";
-    logStatus("Starting automation...");
+    logStatus(`Starting automation with ${automationModel}...`);
+    saveAutomationRun({ openedTabIds: [] });
     runAutomationLoop();
   });
 
+  // Refresh the list whenever the user is about to pick from it
+  sessionPickerSel.addEventListener("focus", refreshSessionPicker);
+
+  resumeSessionBtn.addEventListener("click", () => {
+    const sessionId = sessionPickerSel.value;
+    if (!sessionId || isAutomationRunning) return;
+    chrome.runtime.sendMessage({ type: "LOAD_SESSION", sessionId }, (resp) => {
+      if (!chrome.runtime?.id) return;
+      if (!resp || resp.status === "error") {
+        resultDiv.textContent = `Error loading session: ${
+          resp?.message || "No response from background."
+        }`;
+        return;
+      }
+      // Continue the picked conversation in this tab's own session
+      conversationHistory = resp.session.history.slice();
+      persistSession();
+      renderHistory();
+      logStatus(
+        `Resumed session "${resp.session.title}" (${conversationHistory.length} messages).`
+      );
+      refreshSessionPicker();
+    });
+  });
+
+  newSessionBtn.addEventListener("click", () => {
+    if (isAutomationRunning) return;
+    resetHistory();
+    resultDiv.textContent = "Started a new session.";
+    refreshSessionPicker();
+  });
+
+  setOfMarksChk.addEventListener("change", () => {
+    chrome.storage.local.set({ automationSetOfMarks: setOfMarksChk.checked });
+  });
+
+  // Each model has its own presets
+  modelSel.addEventListener("change", () => {
+    renderPresets("Default");
+    updateToolsOption();
+  });
+  presetPickerSel.addEventListener("change", () =>
+    renderPresets(presetPickerSel.value)
+  );
+  automationPresetSel.addEventListener("change", () => {
+    automationPresets[getAutomationPresetModel()] = automationPresetSel.value;
+    savePresets();
+  });
+  savePresetBtn.addEventListener("click", saveCurrentPreset);
+  deletePresetBtn.addEventListener("click", deleteCurrentPreset);
+
+  pullModelBtn.addEventListener("click", startPull);
+  pullModelNameEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") startPull();
+  });
+  showModelBtn.addEventListener("click", showSelectedModel);
+  deleteModelBtn.addEventListener("click", deleteSelectedModel);
+  refreshLoadedBtn.addEventListener("click", loadRunningModels);
+
+  visionModelSel.addEventListener("change", () => {
+    preferredVisionModel = visionModelSel.value;
+    chrome.storage.local.set({ automationVisionModel: preferredVisionModel });
+    renderPresets(); // The automation preset follows the vision model
+  });
+
+  maxStepsEl.addEventListener("change", () => {
+    chrome.storage.local.set({ automationMaxSteps: getMaxSteps() });
+  });
+
+  captureScreenshotBtn.addEventListener("click", () => {
+    captureInspectedTab((base64Image, error) => {
+      if (base64Image) {
+        showScreenshot(base64Image);
+      } else {
+        logStatus(error, true);
+      }
+    });
+  });
+
+  screenshotImage.addEventListener("dragstart", (e) => e.preventDefault());
+
+  screenshotImage.addEventListener("mousedown", (e) => {
+    if (e.button !== 0) return;
+    screenshotDragStart = getScreenshotPoint(e);
+    drawScreenshotSelection(
+      boxFromPoints(screenshotDragStart, screenshotDragStart)
+    );
+  });
+
+  screenshotImage.addEventListener("mousemove", (e) => {
+    if (!screenshotDragStart) return;
+    drawScreenshotSelection(
+      boxFromPoints(screenshotDragStart, getScreenshotPoint(e))
+    );
+  });
+
+  // Released outside the image still ends the drag
+  document.addEventListener("mouseup", (e) => {
+    if (!screenshotDragStart) return;
+    const end = getScreenshotPoint(e);
+    const start = screenshotDragStart;
+    screenshotDragStart = null;
+    // A click (hardly any movement) picks a point, a drag picks a box
+    screenshotSelection =
+      Math.abs(end.x - start.x) < 5 && Math.abs(end.y - start.y) < 5
+        ? [start.y, start.x, start.y, start.x]
+        : boxFromPoints(start, end);
+    drawScreenshotSelection(screenshotSelection);
+    runManualActionBtn.disabled = false;
+  });
+
+  runManualActionBtn.addEventListener("click", runManualAction);
+
+  runMacroBtn.addEventListener("click", () => {
+    const macro = macros.find((m) => m.id === macroPickerSel.value);
+    if (!macro || isAutomationRunning) return;
+    promptMacroParams(macro);
+  });
+
+  deleteMacroBtn.addEventListener("click", () => {
+    const macro = macros.find((m) => m.id === macroPickerSel.value);
+    if (!macro) return;
+    macros = macros.filter((m) => m.id !== macro.id);
+    saveMacros(() => logStatus(`Deleted macro "${macro.name}".`));
+  });
+
+  resetApprovalsBtn.addEventListener("click", () => {
+    getInspectedPage((page) => {
+      if (!page) return;
+      chrome.runtime.sendMessage(
+        { type: "CLEAR_APPROVAL_RULES", origin: page.origin },
+        () => logStatus(`Approval rules for ${page.origin} cleared.`)
+      );
+    });
+  });
+
   debugToggleBtn.addEventListener("click", () => {
     // Toggle the current state
     setDebug(!DEBUG);
@@ -547,13 +3800,68 @@ chrome.runtime.onMessage.addListener((msg, sender) => {
   }
 
   if (msg.type === "OLLAMA_CHUNK") {
-    resultDiv.textContent += msg.chunk;
+    // Late chunks of a cancelled stream are dropped
+    if (!pendingStreamTurn) return;
+    if (msg.error) {
+      // The stream broke off: keep what arrived, leave it out of the history
+      const { replyEl, view } = pendingStreamTurn;
+      view?.finish();
+      replyEl.classList.remove("message-pending");
+      replyEl.classList.add("message-error");
+      if (!view) replyEl.textContent = `Error: ${msg.error}`;
+      logStatus(`Error: ${msg.error}`, true);
+      pendingStreamTurn = null;
+      setActiveRequest(null);
+      return;
+    }
+    if (!pendingStreamTurn.view) {
+      const { replyEl } = pendingStreamTurn;
+      replyEl.textContent = "";
+      replyEl.classList.remove("message-pending");
+      pendingStreamTurn.view = createMarkdownStream(replyEl);
+    }
+    pendingStreamTurn.view.append(msg.chunk);
+    pendingStreamTurn.text += msg.chunk;
     resultDiv.scrollTop = resultDiv.scrollHeight;
+    if (msg.done) {
+      pendingStreamTurn.view.finish();
+      pushHistory(
+        { role: "user", content: pendingStreamTurn.prompt },
+        { role: "assistant", content: pendingStreamTurn.text }
+      );
+      pendingStreamTurn = null;
+      setActiveRequest(null);
+    }
+  } else if (msg.type === "PULL_PROGRESS") {
+    showPullProgress(msg);
+  } else if (msg.type === "ELEMENT_PICKED") {
+    // Relayed by background.js with the tab id; the raw broadcast has none
+    if (msg.tabId !== INSPECTED_TAB_ID) return;
+    setPicking(false);
+    if (msg.picked) {
+      loadElementFocus("picked");
+    } else {
+      resultDiv.textContent = "Element pick cancelled.";
+    }
+  } else if (msg.type === "CONTEXT_PROGRESS") {
+    resultDiv.textContent = `Summarizing page text${
+      msg.round > 0 ? " again" : ""
+    }: ${msg.done} of ${msg.total} parts done...`;
+  } else if (msg.type === "REQUEST_CANCELLED") {
+    logStatus("Request cancelled.");
+  } else if (msg.type === "APPROVAL_REQUIRED") {
+    showApprovalRequest(msg);
+  } else if (msg.type === "APPROVAL_RESOLVED") {
+    closeApprovalCard(
+      msg.approvalId,
+      msg.decision === "expired" ? "Expired without an answer." : "Cancelled."
+    );
   } else if (msg.type === "DEBUG_LOG") {
     // New listener for debug messages from background
     logToUI(msg.message, msg.data);
   } else if (msg.type === "AUTOMATION_STATUS") {
     const statusDiv = document.createElement("div");
+    statusDiv.className = "message-status";
     statusDiv.style.fontWeight = "bold";
     statusDiv.textContent = `ACTION STATUS: ${msg.status.toUpperCase()} - ${
       msg.message
@@ -562,56 +3870,148 @@ chrome.runtime.onMessage.addListener((msg, sender) => {
     resultDiv.appendChild(statusDiv);
     resultDiv.scrollTop = resultDiv.scrollHeight;
 
-    // Add action status to history as an observation for the next step
-    conversationHistory.push({
+    // Actions relayed for the Ask button: keep the outcome as an observation
+    // for the follow-up question. The automation loop records its own.
+    pushHistory({
       role: "assistant",
       content: `Observation: ${msg.message}`,
     });
-
-    // If the last action was 'done' or an error occurred, stop the loop.
-    if (
-      msg.action === "done" ||
-      msg.action === "error" ||
-      msg.status === "error"
-    ) {
-      isAutomationRunning = false;
-      logStatus("Automation finished.");
-    }
-
-    // Trigger the next step of the loop after a short delay
-    setTimeout(() => {
-      runAutomationLoop();
-    }, 1000);
   }
   // ... debug message handling
 });
 
+// Follow the inspected tab to other origins: each origin has its own session,
+// except mid-automation, where the running conversation moves along with it.
+chrome.devtools.network.onNavigated.addListener((url) => {
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch (e) {
+    return;
+  }
+  if (sessionPage && sessionPage.origin === origin) {
+    sessionPage.url = url;
+  } else if (isAutomationRunning) {
+    sessionPage = { origin, title: origin, url };
+    persistSession();
+  } else {
+    restoreSession();
+  }
+});
+
 // --- Initial setup ---
 // Assign UI elements
 usePageBtn = document.getElementById("usePage");
+tabListEl = document.getElementById("tabList");
+refreshTabsBtn = document.getElementById("refreshTabs");
+useTabsBtn = document.getElementById("useTabs");
+searchPagesChk = document.getElementById("searchPages");
+indexPagesChk = document.getElementById("indexPages");
+embedModelSel = document.getElementById("embedModel");
+indexThisPageBtn = document.getElementById("indexThisPage");
+clearIndexBtn = document.getElementById("clearIndex");
+indexStatusEl = document.getElementById("indexStatus");
+pickElementBtn = document.getElementById("pickElement");
+useInspectedBtn = document.getElementById("useInspected");
+useSelectionBtn = document.getElementById("useSelection");
+focusInfoEl = document.getElementById("focusInfo");
+focusLabelEl = document.getElementById("focusLabel");
+focusImageEl = document.getElementById("focusImage");
+clearFocusBtn = document.getElementById("clearFocus");
+contextModeSel = document.getElementById("contextMode");
+contextFitSel = document.getElementById("contextFit");
+budgetMeterEl = document.getElementById("budgetMeter");
+budgetTextEl = document.getElementById("budgetText");
 promptEl = document.getElementById("prompt");
 askBtn = document.getElementById("ask");
 askWithScreenshotBtn = document.getElementById("askWithScreenshot");
 resultDiv = document.getElementById("result");
 modelSel = document.getElementById("model");
+visionModelSel = document.getElementById("visionModel");
+pullModelNameEl = document.getElementById("pullModelName");
+pullModelBtn = document.getElementById("pullModel");
+pullProgressEl = document.getElementById("pullProgress");
+pullStatusEl = document.getElementById("pullStatus");
+showModelBtn = document.getElementById("showModel");
+deleteModelBtn = document.getElementById("deleteModel");
+modelDetailsEl = document.getElementById("modelDetails");
+refreshLoadedBtn = document.getElementById("refreshLoaded");
+loadedModelsEl = document.getElementById("loadedModels");
+presetPickerSel = document.getElementById("presetPicker");
+automationPresetSel = document.getElementById("automationPreset");
+presetNameEl = document.getElementById("presetName");
+savePresetBtn = document.getElementById("savePreset");
+deletePresetBtn = document.getElementById("deletePreset");
+presetStatusEl = document.getElementById("presetStatus");
+optStopEl = document.getElementById("optStop");
+optKeepAliveEl = document.getElementById("optKeepAlive");
 streamChk = document.getElementById("stream");
+useToolsChk = document.getElementById("useTools");
 refreshModelsBtn = document.getElementById("refreshModels");
 debugToggleBtn = document.getElementById("debugToggle");
 screenshotContainer = document.getElementById("screenshotContainer");
 screenshotImage = document.getElementById("screenshotImage");
+screenshotSelectionEl = document.getElementById("screenshotSelection");
+captureScreenshotBtn = document.getElementById("captureScreenshot");
+manualActionSel = document.getElementById("manualAction");
+manualValueEl = document.getElementById("manualValue");
+runManualActionBtn = document.getElementById("runManualAction");
+manualHintChk = document.getElementById("manualHint");
 apiKeyEl = document.getElementById("apiKey");
 saveApiKeyBtn = document.getElementById("saveApiKey");
+profileSel = document.getElementById("profile");
+newProfileBtn = document.getElementById("newProfile");
+deleteProfileBtn = document.getElementById("deleteProfile");
+testConnectionBtn = document.getElementById("testConnection");
+profileNameEl = document.getElementById("profileName");
+profileUrlEl = document.getElementById("profileUrl");
+profileModelEl = document.getElementById("profileModel");
+maxStepsEl = document.getElementById("maxSteps");
+setOfMarksChk = document.getElementById("setOfMarks");
+resetApprovalsBtn = document.getElementById("resetApprovals");
+macroPickerSel = document.getElementById("macroPicker");
+runMacroBtn = document.getElementById("runMacro");
+deleteMacroBtn = document.getElementById("deleteMacro");
+sessionPickerSel = document.getElementById("sessionPicker");
+resumeSessionBtn = document.getElementById("resumeSession");
+newSessionBtn = document.getElementById("newSession");
 
 // Setup event listeners
 setupEventListeners();
 
 // Initial data load
-chrome.storage.local.get("ollamaApiKey", (data) => {
-  if (data.ollamaApiKey) {
-    apiKeyEl.value = data.ollamaApiKey;
+loadProfiles(loadModels);
+restoreSession(offerRunResume);
+loadMacros();
+loadPresets();
+chrome.storage.local.get(
+  [
+    "automationMaxSteps",
+    "automationSetOfMarks",
+    "automationVisionModel",
+    "pageContextMode",
+    "pageContextFit",
+    "indexPages",
+    "indexEmbedModel",
+    "searchPages",
+  ],
+  (data) => {
+    indexPagesChk.checked = !!data.indexPages;
+    searchPagesChk.checked = !!data.searchPages;
+    preferredEmbedModel = data.indexEmbedModel || "";
+    // The model list may have loaded first
+    if (Object.keys(modelCapabilities).length > 0) renderEmbedModels();
+    contextModeSel.value = data.pageContextMode || "full";
+    contextFitSel.value = data.pageContextFit || "trim";
+    maxStepsEl.value = data.automationMaxSteps || DEFAULT_MAX_STEPS;
+    setOfMarksChk.checked = !!data.automationSetOfMarks;
+    preferredVisionModel = data.automationVisionModel || "";
+    // The model list may have loaded first
+    if (getVisionModels().includes(preferredVisionModel)) {
+      visionModelSel.value = preferredVisionModel;
+    }
   }
-  loadModels();
-});
+);
 
 // Set initial button state
 setDebug(false);